@@ -0,0 +1,112 @@
+// Append-only audit log. Every create, update, delete and restore that db.js
+// announces is written to the "audit-log" entity with who made it, when,
+// and what changed field by field. The actor comes from the request being
+// handled (requestContext); changes made outside a request, such as the
+// blog scheduler, are logged as "system".
+const { AsyncLocalStorage, AsyncResource } = require("async_hooks");
+const db = require("./db");
+const { subscribe } = require("./eventBus");
+const { diffFields } = require("./diff");
+
+const AUDIT_ENTITY = "audit-log";
+
+// Not audited: the log itself, logins, delivery/revision bookkeeping and
+// trash entries (moving a record to the trash is logged as its deletion)
+const skippedEntities = [
+  AUDIT_ENTITY,
+  "sessions",
+  "notifications",
+  "blog-revisions",
+  "trash",
+];
+
+// The id is the entry's recordId; the others change on every save
+const ignoredFields = ["id", "version", "updatedAt"];
+
+// Kept out of the log; a change shows up as "[redacted]"
+const redactedFields = ["passwordHash", "secret"];
+
+// Holds the current request for the audit listener
+const requestContext = new AsyncLocalStorage();
+
+const auditContext = (req, res, next) => requestContext.run(req, next);
+
+// For middleware that calls next() from a stream callback (multer), which
+// would otherwise run the route outside the request's context
+const keepAuditContext = (middleware) => (req, res, next) =>
+  middleware(req, res, AsyncResource.bind(next));
+
+const actorOf = (req) => {
+  if (!req) return { actor: "system", role: null };
+  if (!req.auth) return { actor: "anonymous", role: null };
+  return { actor: req.auth.user.username, role: req.auth.user.role };
+};
+
+// What the admin calls the record (also used by trash.js)
+const labelOf = (record) =>
+  record.name ||
+  record.title ||
+  record.code ||
+  record.customerName ||
+  record.invoiceNumber ||
+  null;
+
+const redact = (change) =>
+  redactedFields.includes(change.field)
+    ? {
+        field: change.field,
+        from: change.from === null ? null : "[redacted]",
+        to: change.to === null ? null : "[redacted]",
+      }
+    : change;
+
+const changesBetween = (before, after) => {
+  const fields = [
+    ...new Set([...Object.keys(before), ...Object.keys(after)]),
+  ].filter((field) => !ignoredFields.includes(field));
+  return diffFields(before, after, fields).map(redact);
+};
+
+const record = ({ entity, type, record, previous }) => {
+  if (skippedEntities.includes(entity)) return;
+
+  const changes =
+    type === "created" || type === "restored"
+      ? changesBetween({}, record)
+      : type === "deleted"
+        ? changesBetween(record, {})
+        : changesBetween(previous || {}, record);
+  // A save that changed nothing but bookkeeping
+  if (type === "updated" && changes.length === 0) return;
+
+  const req = requestContext.getStore();
+  db.create(AUDIT_ENTITY, {
+    at: new Date().toISOString(),
+    ...actorOf(req),
+    action: type,
+    entity,
+    recordId: record.id,
+    label: labelOf(record),
+    changes,
+    method: req ? req.method : null,
+    path: req ? req.originalUrl.split("?")[0] : null,
+  });
+};
+
+// Entries for one record, newest first
+const historyOf = (entity, recordId) =>
+  db
+    .getAll(AUDIT_ENTITY)
+    .filter((entry) => entry.entity === entity && entry.recordId === recordId)
+    .reverse();
+
+const startAuditLog = () => subscribe("db.change", record);
+
+module.exports = {
+  AUDIT_ENTITY,
+  auditContext,
+  keepAuditContext,
+  historyOf,
+  labelOf,
+  startAuditLog,
+};
@@ -0,0 +1,167 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const db = require("./db");
+
+const JWT_SECRET =
+  process.env.JWT_SECRET || crypto.randomBytes(32).toString("hex");
+if (!process.env.JWT_SECRET) {
+  console.warn(
+    "JWT_SECRET is not set; using a random secret. Sessions will not survive a restart.",
+  );
+}
+
+const SESSION_TTL_HOURS = parseFloat(process.env.SESSION_TTL_HOURS) || 12;
+const SESSION_TTL_MS = SESSION_TTL_HOURS * 60 * 60 * 1000;
+
+// Resources (first path segment after /api) each role may use. Account
+// endpoints, the live change stream (/api/events) and the trash page are
+// open to every signed-in user; the trash API sits under each entity
+// (/api/beans/trash) and follows that entity's access.
+const ROLES = {
+  owner: "*",
+  editor: [
+    "beans",
+    "machines",
+    "syrups",
+    "sauces",
+    "products",
+    "blogs",
+    "upload",
+    "media",
+  ],
+  fulfillment: ["orders", "order-statuses"],
+};
+const selfServiceResources = ["me", "logout", "sessions", "events", "trash"];
+
+const isValidRole = (role) => Object.prototype.hasOwnProperty.call(ROLES, role);
+
+const canAccess = (role, resource) => {
+  if (selfServiceResources.includes(resource)) return true;
+  const allowed = ROLES[role];
+  if (!allowed) return false;
+  return allowed === "*" || allowed.includes(resource);
+};
+
+// Passwords are stored as scrypt$<salt>$<hash> (hex)
+const hashPassword = (password) => {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const hash = crypto.scryptSync(password, salt, 64).toString("hex");
+  return `scrypt$${salt}$${hash}`;
+};
+
+const verifyPassword = (password, stored) => {
+  const [scheme, salt, hash] = (stored || "").split("$");
+  if (scheme !== "scrypt" || !salt || !hash) return false;
+  const expected = Buffer.from(hash, "hex");
+  const actual = crypto.scryptSync(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+};
+
+// User record without secrets, safe to send to clients
+const publicUser = (user) => {
+  const { passwordHash, ...rest } = user;
+  return rest;
+};
+
+const findUserByUsername = (username) => {
+  const normalized = (username || "").toString().trim().toLowerCase();
+  return db.getAll("users").find((u) => u.username === normalized);
+};
+
+const createUser = ({ username, password, role, name }) => {
+  return db.create("users", {
+    username: username.toString().trim().toLowerCase(),
+    name: name || username,
+    role,
+    passwordHash: hashPassword(password),
+  });
+};
+
+const pruneExpiredSessions = () => {
+  const now = Date.now();
+  db.getAll("sessions")
+    .filter((s) => new Date(s.expiresAt).getTime() < now)
+    .forEach((s) => db.delete("sessions", s.id));
+};
+
+// Creates a session record and returns the signed token for it
+const createSession = (user, meta = {}) => {
+  pruneExpiredSessions();
+  const session = db.create("sessions", {
+    userId: user.id,
+    createdAt: new Date().toISOString(),
+    expiresAt: new Date(Date.now() + SESSION_TTL_MS).toISOString(),
+    userAgent: meta.userAgent || "",
+    ip: meta.ip || "",
+  });
+  const token = jwt.sign({ sub: user.id, role: user.role }, JWT_SECRET, {
+    jwtid: session.id,
+    expiresIn: Math.floor(SESSION_TTL_MS / 1000),
+  });
+  return { session, token };
+};
+
+// Resolves a session token to { user, session }, or null when the token is
+// invalid, expired, revoked or belongs to a removed user.
+const verifySession = (token) => {
+  if (!token) return null;
+  let payload;
+  try {
+    payload = jwt.verify(token, JWT_SECRET);
+  } catch (err) {
+    return null;
+  }
+
+  const session = db.getByIdOrSlug("sessions", payload.jti);
+  if (!session || session.revokedAt) return null;
+
+  const user = db.getByIdOrSlug("users", payload.sub);
+  if (!user) return null;
+  return { user, session };
+};
+
+const revokeSession = (sessionId) => {
+  return db.update("sessions", sessionId, {
+    revokedAt: new Date().toISOString(),
+  });
+};
+
+// Revokes every active session of a user, optionally keeping one
+const revokeUserSessions = (userId, exceptSessionId) => {
+  const sessions = db
+    .getAll("sessions")
+    .filter(
+      (s) => s.userId === userId && !s.revokedAt && s.id !== exceptSessionId,
+    );
+  sessions.forEach((s) => revokeSession(s.id));
+  return sessions.length;
+};
+
+// First start after upgrading: turn ADMIN_USER/ADMIN_PASS into an owner
+const seedOwner = () => {
+  if (db.getAll("users").length > 0) return;
+  if (!process.env.ADMIN_USER || !process.env.ADMIN_PASS) return;
+  createUser({
+    username: process.env.ADMIN_USER,
+    password: process.env.ADMIN_PASS,
+    role: "owner",
+  });
+  console.log(`Created owner account "${process.env.ADMIN_USER}"`);
+};
+
+module.exports = {
+  ROLES,
+  SESSION_TTL_MS,
+  isValidRole,
+  canAccess,
+  hashPassword,
+  verifyPassword,
+  publicUser,
+  findUserByUsername,
+  createUser,
+  createSession,
+  verifySession,
+  revokeSession,
+  revokeUserSessions,
+  seedOwner,
+};
@@ -0,0 +1,214 @@
+// Blog publishing workflow (draft -> scheduled -> published), the scheduler
+// that puts scheduled posts live, and revision history for edits.
+const db = require("./db");
+const { diffFields } = require("./diff");
+
+const BLOG_STATUSES = ["draft", "scheduled", "published"];
+
+// Posts created without a status go live immediately, as they did before
+// the workflow existed
+const DEFAULT_STATUS = "published";
+
+const MAX_REVISIONS = parseInt(process.env.BLOG_MAX_REVISIONS) || 50;
+const SCHEDULER_INTERVAL_SECONDS =
+  parseInt(process.env.BLOG_SCHEDULER_INTERVAL_SECONDS) || 60;
+
+// Fields captured in each revision; status and publishAt are recorded but
+// never restored, so restoring cannot publish or unpublish a post
+const REVISION_FIELDS = [
+  "title",
+  "content",
+  "excerpt",
+  "category",
+  "author",
+  "keywords",
+  "images",
+  "date",
+  "status",
+  "publishAt",
+];
+const RESTORE_FIELDS = REVISION_FIELDS.filter(
+  (field) => !["status", "publishAt"].includes(field),
+);
+
+const displayDate = (date) => new Date(date).toLocaleDateString("en-GB");
+
+// Posts saved before the workflow existed have no status and are live. A
+// scheduled post counts as live once its time has passed, even if the
+// scheduler has not flipped it yet.
+const isPublished = (blog, now = Date.now()) => {
+  if (!blog.status || blog.status === "published") return true;
+  return (
+    blog.status === "scheduled" &&
+    !!blog.publishAt &&
+    new Date(blog.publishAt).getTime() <= now
+  );
+};
+
+// When a post went live, as a Date (null if unknown). Older posts only
+// have the DD/MM/YYYY display date.
+const publishedDate = (blog) => {
+  const iso =
+    blog.publishedAt || (blog.status === "scheduled" && blog.publishAt);
+  if (iso) return new Date(iso);
+  const match = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/.exec(blog.date || "");
+  if (match) {
+    return new Date(Date.UTC(+match[3], +match[2] - 1, +match[1]));
+  }
+  return blog.createdAt ? new Date(blog.createdAt) : null;
+};
+
+const goLive = (existing, input, publishedAt) => ({
+  status: "published",
+  publishedAt: existing.publishedAt || publishedAt,
+  date: input.date || existing.date || displayDate(publishedAt),
+});
+
+// Works out status, publishAt, publishedAt and the display date for a new
+// post (no `existing`) or an update. Updates that send neither status nor
+// publishAt leave publishing alone. Returns { errors, fields }.
+const resolvePublishing = (input, existing) => {
+  const errors = [];
+  const touches =
+    !existing ||
+    (input.status !== undefined && input.status !== "") ||
+    (input.publishAt !== undefined && input.publishAt !== "");
+  if (!touches) return { errors, fields: {} };
+
+  const current = existing || {};
+  const status = input.status || current.status || DEFAULT_STATUS;
+  if (!BLOG_STATUSES.includes(status)) {
+    errors.push(`status must be one of: ${BLOG_STATUSES.join(", ")}`);
+    return { errors, fields: {} };
+  }
+
+  const now = new Date().toISOString();
+  if (status === "published") {
+    return { errors, fields: goLive(current, input, now) };
+  }
+  if (status === "draft") {
+    return { errors, fields: { status, publishAt: null } };
+  }
+
+  const publishAt = input.publishAt || current.publishAt;
+  if (!publishAt) {
+    errors.push("publishAt is required for scheduled posts");
+  } else if (isNaN(new Date(publishAt).getTime())) {
+    errors.push("publishAt must be a valid date");
+  }
+  if (errors.length > 0) return { errors, fields: {} };
+
+  const publishAtIso = new Date(publishAt).toISOString();
+  // A time that has already passed publishes straight away
+  if (publishAtIso <= now) {
+    return {
+      errors,
+      fields: {
+        ...goLive(current, input, publishAtIso),
+        publishAt: publishAtIso,
+      },
+    };
+  }
+  return { errors, fields: { status, publishAt: publishAtIso } };
+};
+
+// Puts every scheduled post whose time has come live. Returns the posts
+// that were published.
+const publishDueBlogs = () => {
+  const now = Date.now();
+  return db
+    .getAll("blogs")
+    .filter((blog) => blog.status === "scheduled" && isPublished(blog, now))
+    .map((blog) =>
+      db.update("blogs", blog.id, goLive(blog, {}, blog.publishAt)),
+    );
+};
+
+const startBlogScheduler = () => {
+  const run = () => {
+    try {
+      publishDueBlogs().forEach((blog) =>
+        console.log(`Published scheduled blog post "${blog.title}"`),
+      );
+    } catch (err) {
+      console.error("Blog scheduler failed:", err);
+    }
+  };
+  run();
+  setInterval(run, SCHEDULER_INTERVAL_SECONDS * 1000).unref();
+};
+
+// Revisions live in their own entity so blog records stay small
+const REVISIONS_ENTITY = "blog-revisions";
+
+const pick = (record, fields) => {
+  const picked = {};
+  fields.forEach((field) => {
+    if (record[field] !== undefined) picked[field] = record[field];
+  });
+  return picked;
+};
+
+const revisionsOf = (blogId) =>
+  db
+    .getAll(REVISIONS_ENTITY)
+    .filter((revision) => revision.blogId === blogId)
+    .sort((a, b) => b.number - a.number);
+
+// Records the current version of a post before it is overwritten. Nothing
+// is saved when `updates` would not change any tracked field.
+const saveRevision = (blog, updates, savedBy) => {
+  const next = { ...blog, ...updates };
+  if (diffFields(blog, next, REVISION_FIELDS).length === 0) return null;
+
+  const existing = revisionsOf(blog.id);
+  const revision = db.create(REVISIONS_ENTITY, {
+    blogId: blog.id,
+    number: existing.length > 0 ? existing[0].number + 1 : 1,
+    savedAt: new Date().toISOString(),
+    savedBy,
+    snapshot: pick(blog, REVISION_FIELDS),
+  });
+
+  existing
+    .slice(MAX_REVISIONS - 1)
+    .forEach((old) => db.delete(REVISIONS_ENTITY, old.id));
+  return revision;
+};
+
+// Revision list without the (possibly large) snapshots
+const listRevisions = (blogId) =>
+  revisionsOf(blogId).map(({ snapshot, ...revision }) => ({
+    ...revision,
+    title: snapshot.title,
+  }));
+
+const getRevision = (blogId, revisionId) =>
+  revisionsOf(blogId).find((revision) => revision.id === revisionId);
+
+// What restoring `revision` would change on the current post
+const diffRevision = (revision, blog) =>
+  diffFields(blog, revision.snapshot, REVISION_FIELDS, ["content"]);
+
+const restoreFields = (revision) => pick(revision.snapshot, RESTORE_FIELDS);
+
+const deleteRevisions = (blogId) =>
+  revisionsOf(blogId).forEach((revision) =>
+    db.delete(REVISIONS_ENTITY, revision.id),
+  );
+
+module.exports = {
+  BLOG_STATUSES,
+  REVISIONS_ENTITY,
+  isPublished,
+  publishedDate,
+  resolvePublishing,
+  publishDueBlogs,
+  startBlogScheduler,
+  saveRevision,
+  listRevisions,
+  getRevision,
+  diffRevision,
+  restoreFields,
+  deleteRevisions,
+};
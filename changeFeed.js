@@ -0,0 +1,96 @@
+// Live record changes for the admin panel over Server-Sent Events. db.js
+// announces every create, update, delete and restore on the event bus; each open
+// GET /api/events connection receives the changes its user's role may read.
+const { subscribe } = require("./eventBus");
+
+const HEARTBEAT_SECONDS = parseInt(process.env.EVENTS_HEARTBEAT_SECONDS) || 25;
+// Changes kept in memory so a reconnecting client (Last-Event-ID) can catch up
+const REPLAY_LIMIT = parseInt(process.env.EVENTS_REPLAY_LIMIT) || 200;
+
+// Never streamed: password hashes, session tokens and the audit log's and
+// trash's own writes
+const hiddenEntities = ["users", "sessions", "audit-log", "trash"];
+
+// Entities read through another resource's endpoints
+const resourceOf = {
+  "blog-revisions": "blogs",
+  "notification-templates": "notifications",
+  invoices: "orders",
+};
+
+let lastEventId = 0;
+const recent = [];
+const clients = new Set();
+
+const toEvent = ({ entity, type, record }) => ({
+  id: ++lastEventId,
+  type,
+  data: {
+    entity,
+    type,
+    id: record.id,
+    // Deletes only carry the id
+    record: type === "deleted" ? null : record,
+    at: new Date().toISOString(),
+  },
+});
+
+const format = (event) =>
+  `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`;
+
+const wants = (client, entity) =>
+  !hiddenEntities.includes(entity) &&
+  (!client.entities || client.entities.includes(entity)) &&
+  client.canRead(resourceOf[entity] || entity);
+
+const broadcast = (change) => {
+  const event = toEvent(change);
+  recent.push(event);
+  if (recent.length > REPLAY_LIMIT) recent.shift();
+  clients.forEach((client) => {
+    if (wants(client, event.data.entity)) client.res.write(format(event));
+  });
+};
+
+// Holds the response open as an event stream. `entities` (optional list)
+// narrows the stream; `canRead(resource)` is the caller's role check and
+// `isValid()` is re-checked on every heartbeat, so a revoked or expired
+// session is disconnected.
+const openStream = (req, res, { entities, canRead, isValid }) => {
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    // Stops nginx from buffering the stream
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+
+  const client = { res, entities, canRead };
+  res.write(`retry: 3000\n\n`);
+
+  const since = parseInt(req.headers["last-event-id"]);
+  if (!isNaN(since)) {
+    recent
+      .filter((event) => event.id > since && wants(client, event.data.entity))
+      .forEach((event) => res.write(format(event)));
+  }
+  clients.add(client);
+
+  const heartbeat = setInterval(() => {
+    if (!isValid()) return res.end();
+    res.write(`: ping\n\n`);
+  }, HEARTBEAT_SECONDS * 1000);
+
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    clients.delete(client);
+  });
+};
+
+const startChangeFeed = () => subscribe("db.change", broadcast);
+
+// Ends every open stream, so the server can shut down
+const closeStreams = () => clients.forEach((client) => client.res.end());
+
+module.exports = { openStream, startChangeFeed, closeStreams };
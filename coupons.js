@@ -0,0 +1,69 @@
+const db = require("./db");
+
+const normalizeCode = (code) =>
+  (code || "").toString().trim().toUpperCase();
+
+const findCoupon = (code) => {
+  const normalized = normalizeCode(code);
+  if (!normalized) return null;
+  return db.getAll("coupons").find((coupon) => coupon.code === normalized);
+};
+
+// Coupons stay valid until the end of their expiry day
+const isExpired = (coupon, now = new Date()) => {
+  if (!coupon.expiryDate) return false;
+  const expiry = new Date(`${coupon.expiryDate}T23:59:59.999`);
+  if (isNaN(expiry.getTime())) return false;
+  return now > expiry;
+};
+
+const calculateDiscount = (coupon, subtotal) => {
+  let discount =
+    coupon.type === "flat"
+      ? parseFloat(coupon.value) || 0
+      : (subtotal * (parseFloat(coupon.value) || 0)) / 100;
+
+  // maxDiscount of 0 means "no cap"
+  if (coupon.maxDiscount > 0) {
+    discount = Math.min(discount, coupon.maxDiscount);
+  }
+
+  return Math.round(Math.max(0, Math.min(discount, subtotal)));
+};
+
+// Checks a coupon against a cart subtotal without redeeming it
+const evaluateCoupon = (code, subtotal) => {
+  const coupon = findCoupon(code);
+  if (!coupon) return { valid: false, message: "Invalid coupon code" };
+  if (!coupon.isActive)
+    return { valid: false, message: "Coupon is not active", coupon };
+  if (isExpired(coupon))
+    return { valid: false, message: "Coupon has expired", coupon };
+  // maxUses of 0 means "unlimited"
+  if (coupon.maxUses > 0 && (coupon.currentUses || 0) >= coupon.maxUses)
+    return {
+      valid: false,
+      message: "Coupon usage limit has been reached",
+      coupon,
+    };
+
+  return { valid: true, coupon, discount: calculateDiscount(coupon, subtotal) };
+};
+
+// Evaluates and consumes one use of a coupon. Runs synchronously from read
+// to write, so concurrent checkouts cannot both take the last use.
+const redeemCoupon = (code, subtotal) => {
+  const result = evaluateCoupon(code, subtotal);
+  if (!result.valid) return result;
+
+  const coupon = db.update("coupons", result.coupon.id, {
+    currentUses: (result.coupon.currentUses || 0) + 1,
+  });
+  return { ...result, coupon };
+};
+
+module.exports = {
+  normalizeCode,
+  evaluateCoupon,
+  redeemCoupon,
+};
@@ -1,47 +1,19 @@
-const fs = require("fs");
-const path = require("path");
 const { nanoid } = require("nanoid");
+const storage = require("./storage");
+const { publish } = require("./eventBus");
 
-const DATA_DIR = path.join(__dirname, "data");
-
-// Ensure data directory exists
-if (!fs.existsSync(DATA_DIR)) {
-  fs.mkdirSync(DATA_DIR, { recursive: true });
-}
-
-const getFilePath = (entity) => path.join(DATA_DIR, `${entity}.json`);
-
-const readData = (entity) => {
-  const filePath = getFilePath(entity);
-  if (!fs.existsSync(filePath)) return [];
-  try {
-    const content = fs.readFileSync(filePath, "utf8").trim();
-    return JSON.parse(content || "[]");
-  } catch (err) {
-    console.error(`Error reading ${entity}:`, err);
-    return [];
-  }
-};
-
-const writeData = (entity, data) => {
-  const filePath = getFilePath(entity);
-  fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
-};
-
+// Letters, marks and digits of any script are kept, so Bengali names give
+// readable slugs instead of empty ones
 const slugify = (text) => {
   return text
     .toString()
+    .normalize("NFC")
     .toLowerCase()
     .trim()
-    .replace(/\s+/g, "-") // Replace spaces with -
-    .replace(/[^\w-]+/g, "") // Remove all non-word chars
-    .replace(/--+/g, "-"); // Replace multiple - with single -
-};
-
-const findByIdOrSlug = (data, identifier) => {
-  return data.find(
-    (item) => item.id === identifier || item.slug === identifier,
-  );
+    .replace(/[^\p{L}\p{M}\p{N}\s_-]+/gu, "") // Remove punctuation and symbols
+    .replace(/[\s_]+/g, "-") // Replace spaces with -
+    .replace(/--+/g, "-") // Replace multiple - with single -
+    .replace(/^-|-$/g, "");
 };
 
 const calculateReadTime = (text) => {
@@ -51,33 +23,198 @@ const calculateReadTime = (text) => {
   return `${minutes} min read`;
 };
 
-const db = {
-  getAll: (entity) => readData(entity),
+const productEntities = ["beans", "machines", "syrups", "sauces"];
+
+// Entities addressed by slug. Orders, coupons and internal records have none.
+const sluggedEntities = [...productEntities, "blogs"];
+// Records the app keeps for itself (accounts, blog revisions, notification
+// settings, delivery log, audit log, trash and the invoice register); they
+// carry none of the catalog fields
+const internalEntities = [
+  "users",
+  "sessions",
+  "blog-revisions",
+  "notification-templates",
+  "webhooks",
+  "notifications",
+  "audit-log",
+  "trash",
+  "invoices",
+];
+// Entities that carry none of the catalog fields either
+const plainEntities = [...internalEntities, "shipping-zones"];
+
+const nameFieldOf = (entity) => (entity === "blogs" ? "title" : "name");
+
+// Fixed path segments after /api/:entity/, which would shadow a record with
+// the same slug
+const RESERVED_SLUGS = ["trash", "export", "import"];
+
+// First free slug for `text` within the entity: "name", "name-2", ...
+// Current slugs, old slugs kept as aliases, ids of other records and the
+// reserved words are all taken, so every identifier resolves to exactly one
+// record.
+const uniqueSlug = (entity, text, ownId) => {
+  const base = slugify(text || "") || "item";
+  const taken = new Set(RESERVED_SLUGS);
+  storage.getAll(entity).forEach((record) => {
+    if (record.id === ownId) return;
+    taken.add(record.id);
+    if (record.slug) taken.add(record.slug);
+    (record.slugAliases || []).forEach((alias) => taken.add(alias));
+  });
+  if (!taken.has(base)) return base;
+  let suffix = 2;
+  while (taken.has(`${base}-${suffix}`)) suffix++;
+  return `${base}-${suffix}`;
+};
 
-  getByIdOrSlug: (entity, identifier) => {
-    const data = readData(entity);
-    return findByIdOrSlug(data, identifier);
-  },
+// Stock counts are optional: "" / null / undefined means "not tracked"
+const parseStock = (value) => {
+  if (value === undefined || value === null || value === "") return undefined;
+  const stock = parseInt(value);
+  return isNaN(stock) ? undefined : Math.max(0, stock);
+};
 
-  create: (entity, item) => {
-    const data = readData(entity);
-    const id = nanoid(8);
+// Normalizes stock on a product and derives inStock from it. Products with
+// variants track stock per variant and expose the sum as `stock`; products
+// without variants track `stock` directly. Untracked products keep the
+// manual inStock flag.
+const syncStock = (item) => {
+  if (Array.isArray(item.variants) && item.variants.length > 0) {
+    item.variants = item.variants.map((variant) => {
+      const normalized = { ...variant, stock: parseStock(variant.stock) };
+      if (normalized.stock === undefined) delete normalized.stock;
+      return normalized;
+    });
+    const tracked = item.variants.filter((v) => v.stock !== undefined);
+    if (tracked.length === 0) {
+      delete item.stock;
+      return item;
+    }
+    item.stock = tracked.reduce((sum, v) => sum + v.stock, 0);
+    item.inStock = item.variants.some(
+      (v) => v.stock === undefined || v.stock > 0,
+    );
+    return item;
+  }
+
+  const stock = parseStock(item.stock);
+  if (stock === undefined) {
+    delete item.stock;
+    return item;
+  }
+  item.stock = stock;
+  item.inStock = stock > 0;
+  return item;
+};
+
+// Every create, update, delete and restore is announced as "db.change" on
+// the event bus (live admin updates). `previous` is the record before an update.
+const announce = (entity, type, record, previous) => {
+  if (record) publish("db.change", { entity, type, record, previous });
+  return record;
+};
+
+// Thrown by update when the record changed after the caller read it
+class VersionConflictError extends Error {
+  constructor(current) {
+    super("This record was changed by someone else since you loaded it");
+    this.status = 409;
+    this.current = current;
+  }
+}
+
+// Records saved before versions existed count as version 1
+const versionOf = (record) => record.version || 1;
 
-    // Slug generation
-    const nameSource = item.name || item.title || "item";
-    const slug = slugify(nameSource);
+// Wraps a db method so it runs with its entity locked
+const locked =
+  (method) =>
+  (entity, ...args) =>
+    storage.transaction(entity, () => method(entity, ...args));
+
+const db = {
+  VersionConflictError,
+  versionOf,
+  slugify,
+  productEntities,
+
+  getAll: (entity) => storage.getAll(entity),
+
+  // Runs fn with the entity locked, for read-then-write sequences such as
+  // handing out the next invoice number. db calls inside fn may nest.
+  transaction: (entity, fn) => storage.transaction(entity, fn),
+
+  getByIdOrSlug: (entity, identifier) =>
+    storage.getByIdOrSlug(entity, identifier),
+
+  // The record that used to be reachable under `slug`, if it was renamed
+  getBySlugAlias: (entity, slug) =>
+    storage
+      .getAll(entity)
+      .find((record) => (record.slugAliases || []).includes(slug)),
+
+  // Fixes records saved before slugs were unique: later duplicates get a
+  // numeric suffix and entities without slugs lose the leftover field.
+  // Returns the number of records changed.
+  repairSlugs: () => {
+    let changed = 0;
+    storage.listEntities().forEach((entity) =>
+      storage.transaction(entity, () => {
+        const seen = new Set();
+        storage.getAll(entity).forEach((record) => {
+          if (!record || !record.id) return;
+          if (!sluggedEntities.includes(entity)) {
+            if (record.slug === undefined) return;
+            const { slug, ...rest } = record;
+            storage.replace(entity, record.id, rest);
+            changed++;
+            return;
+          }
+          if (record.slug && !seen.has(record.slug)) {
+            seen.add(record.slug);
+            return;
+          }
+          const slug = uniqueSlug(
+            entity,
+            record[nameFieldOf(entity)],
+            record.id,
+          );
+          seen.add(slug);
+          storage.replace(entity, record.id, { ...record, slug });
+          changed++;
+        });
+      }),
+    );
+    return changed;
+  },
 
+  create: locked((entity, item) => {
+    const id = nanoid(8);
     const newItem = {
       ...item,
       id,
-      slug,
     };
 
+    // Slug generation (an explicit slug wins over the name). Catalog
+    // records also carry timestamps for the sitemap.
+    if (sluggedEntities.includes(entity)) {
+      newItem.slug = uniqueSlug(
+        entity,
+        item.slug || item[nameFieldOf(entity)],
+        id,
+      );
+      newItem.createdAt = new Date().toISOString();
+    } else {
+      delete newItem.slug;
+    }
+
     // Casting status flags
     newItem.isFeatured = item.isFeatured === "true" || item.isFeatured === true;
 
     // inStock only for products
-    if (["beans", "machines", "syrups", "sauces"].includes(entity)) {
+    if (productEntities.includes(entity)) {
       newItem.inStock = item.inStock === "true" || item.inStock === true;
     } else {
       delete newItem.inStock;
@@ -90,7 +227,8 @@ const db = {
 
     // Blog specific enhancements
     if (entity === "blogs") {
-      newItem.date = new Date().toLocaleDateString("en-GB");
+      // The display date is stamped when the post goes live (blogs.js)
+      newItem.date = item.date || "";
       newItem.readTime = calculateReadTime(item.content || "");
       newItem.category = item.category || item.keyword || "Uncategorized";
       newItem.excerpt = item.excerpt || "";
@@ -138,6 +276,11 @@ const db = {
           : item.features || {};
     }
 
+    // Stock levels (derives inStock when tracked)
+    if (productEntities.includes(entity)) {
+      syncStock(newItem);
+    }
+
     // Order specific enhancements
     if (entity === "orders") {
       newItem.createdAt = new Date().toISOString();
@@ -150,7 +293,12 @@ const db = {
       newItem.isPaid = item.isPaid === true || item.isPaid === "true";
 
       // Remove irrelevant fields added by generic logic
-      delete newItem.slug;
+      delete newItem.keywords;
+      delete newItem.images;
+      delete newItem.isFeatured;
+    }
+
+    if (plainEntities.includes(entity)) {
       delete newItem.keywords;
       delete newItem.images;
       delete newItem.isFeatured;
@@ -168,17 +316,56 @@ const db = {
       newItem.code = (item.code || "").toUpperCase();
     }
 
-    data.push(newItem);
-    writeData(entity, data);
-    return newItem;
-  },
+    // Every record is versioned; each update bumps the version
+    newItem.version = 1;
+    newItem.updatedAt = newItem.createdAt || new Date().toISOString();
 
-  update: (entity, identifier, updates) => {
-    const data = readData(entity);
-    const index = data.findIndex(
-      (item) => item.id === identifier || item.slug === identifier,
-    );
-    if (index === -1) return null;
+    return announce(entity, "created", storage.insert(entity, newItem));
+  }),
+
+  // With `expectedVersion` (from If-Match), the update is refused with a
+  // VersionConflictError when the record has moved on since it was read
+  update: locked((entity, identifier, updates, { expectedVersion } = {}) => {
+    const existing = storage.getByIdOrSlug(entity, identifier);
+    if (!existing) return null;
+    if (
+      expectedVersion !== undefined &&
+      versionOf(existing) !== expectedVersion
+    ) {
+      throw new VersionConflictError(existing);
+    }
+
+    // A changed name/title (or an explicitly edited slug) gives a new slug;
+    // the old one is kept in slugAliases so existing links still resolve
+    if (sluggedEntities.includes(entity)) {
+      const nameField = nameFieldOf(entity);
+      const requested =
+        updates.slug && slugify(updates.slug) !== existing.slug
+          ? updates.slug
+          : null;
+      const renamed =
+        updates[nameField] && updates[nameField] !== existing[nameField];
+      delete updates.slug;
+
+      if (requested || renamed) {
+        const slug = uniqueSlug(
+          entity,
+          requested || updates[nameField],
+          existing.id,
+        );
+        if (slug !== existing.slug) {
+          updates.slug = slug;
+          updates.slugAliases = [
+            ...(existing.slugAliases || []).filter(
+              (alias) => alias !== slug && alias !== existing.slug,
+            ),
+            ...(existing.slug ? [existing.slug] : []),
+          ];
+        }
+      }
+    } else {
+      delete updates.slug;
+    }
 
     // Parsing dynamic props if they are strings
     if (updates.specifications && typeof updates.specifications === "string") {
@@ -202,7 +389,7 @@ const db = {
         updates.isFeatured === "true" || updates.isFeatured === true;
     }
     if (updates.hasOwnProperty("inStock")) {
-      if (["beans", "machines", "syrups", "sauces"].includes(entity)) {
+      if (productEntities.includes(entity)) {
         updates.inStock =
           updates.inStock === "true" || updates.inStock === true;
       } else {
@@ -285,24 +472,51 @@ const db = {
       }
     }
 
-    data[index] = { ...data[index], ...updates };
-    writeData(entity, data);
-    return data[index];
-  },
-
-  delete: (entity, identifier) => {
-    const data = readData(entity);
-    const itemToDelete = data.find(
-      (item) => item.id === identifier || item.slug === identifier,
+    const updatedItem = { ...existing, ...updates };
+    if (productEntities.includes(entity)) {
+      syncStock(updatedItem);
+    }
+    updatedItem.version = versionOf(existing) + 1;
+    updatedItem.updatedAt = new Date().toISOString();
+    return announce(
+      entity,
+      "updated",
+      storage.replace(entity, existing.id, updatedItem),
+      existing,
     );
+  }),
+
+  delete: locked((entity, identifier) => {
+    const itemToDelete = storage.getByIdOrSlug(entity, identifier);
     if (!itemToDelete) return null;
 
-    const filteredData = data.filter(
-      (item) => item.id !== identifier && item.slug !== identifier,
-    );
-    writeData(entity, filteredData);
-    return itemToDelete;
-  },
+    storage.remove(entity, itemToDelete.id);
+    return announce(entity, "deleted", itemToDelete);
+  }),
+
+  // Puts a deleted record back under its old id (trash.js). Its slug and
+  // old slugs are re-checked, since another record may have taken them in
+  // the meantime. Returns null if the id is in use again.
+  restore: locked((entity, record) => {
+    if (storage.getByIdOrSlug(entity, record.id)) return null;
+
+    const restored = { ...record };
+    if (sluggedEntities.includes(entity)) {
+      restored.slug = uniqueSlug(
+        entity,
+        record.slug || record[nameFieldOf(entity)],
+        record.id,
+      );
+      restored.slugAliases = (record.slugAliases || []).filter(
+        (alias) =>
+          alias !== restored.slug &&
+          uniqueSlug(entity, alias, record.id) === alias,
+      );
+    }
+    restored.version = versionOf(record) + 1;
+    restored.updatedAt = new Date().toISOString();
+    return announce(entity, "restored", storage.insert(entity, restored));
+  }),
 };
 
 module.exports = db;
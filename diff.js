@@ -0,0 +1,68 @@
+// Small diff helpers shared by blog revisions and anything else that needs
+// to show what changed between two versions of a record.
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Breaks editor HTML into one block per paragraph/heading/list item so a
+// line diff of rich text stays readable
+const splitBlocks = (text) =>
+  (text || "")
+    .toString()
+    .replace(/(<\/(p|h[1-6]|li|blockquote|pre|ul|ol)>|<br\s*\/?>)/gi, "$1\n")
+    .split("\n")
+    .filter((line) => line.trim() !== "");
+
+// Longest-common-subsequence line diff:
+// [{ type: "same" | "added" | "removed", text }]
+const diffLines = (before, after) => {
+  const a = splitBlocks(before);
+  const b = splitBlocks(after);
+  const lengths = Array.from({ length: a.length + 1 }, () =>
+    new Array(b.length + 1).fill(0),
+  );
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] =
+        a[i] === b[j]
+          ? lengths[i + 1][j + 1] + 1
+          : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      lines.push({ type: "same", text: a[i] });
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      lines.push({ type: "removed", text: a[i++] });
+    } else {
+      lines.push({ type: "added", text: b[j++] });
+    }
+  }
+  while (i < a.length) lines.push({ type: "removed", text: a[i++] });
+  while (j < b.length) lines.push({ type: "added", text: b[j++] });
+  return lines;
+};
+
+// Field-level changes between two versions: [{ field, from, to }]. Fields
+// listed in `textFields` also get a line diff.
+const diffFields = (before, after, fields, textFields = []) =>
+  fields
+    .filter((field) => !same(before[field], after[field]))
+    .map((field) => {
+      const change = {
+        field,
+        from: before[field] === undefined ? null : before[field],
+        to: after[field] === undefined ? null : after[field],
+      };
+      if (textFields.includes(field)) {
+        change.lines = diffLines(before[field], after[field]);
+      }
+      return change;
+    });
+
+module.exports = { diffLines, diffFields };
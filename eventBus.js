@@ -0,0 +1,24 @@
+// In-process event bus. Routes announce what happened (e.g. "order.created",
+// "order.status_changed"); notifications and other listeners subscribe
+// here, so the routes do not need to know who is interested.
+const { EventEmitter } = require("events");
+
+const eventBus = new EventEmitter();
+eventBus.setMaxListeners(50);
+
+// Listener failures are logged instead of breaking the request that
+// emitted the event
+const safeListener = (name, listener) => async (payload) => {
+  try {
+    await listener(payload);
+  } catch (err) {
+    console.error(`Listener for ${name} failed:`, err);
+  }
+};
+
+const subscribe = (name, listener) =>
+  eventBus.on(name, safeListener(name, listener));
+
+const publish = (name, payload) => eventBus.emit(name, payload);
+
+module.exports = { subscribe, publish };
@@ -0,0 +1,152 @@
+// RSS feed of published blog posts and an XML sitemap of products and
+// posts. Both are built from db.getAll on every request, so they always
+// match the current data.
+const db = require("./db");
+const { isPublished, publishedDate } = require("./blogs");
+const { imageFile } = require("./imageOptimizer");
+
+// Where the storefront shows each record; ":entity" and ":slug" are filled in
+const SITE_URL = (process.env.SITE_URL || "").replace(/\/+$/, "");
+const SITE_BLOG_PATH = process.env.SITE_BLOG_PATH || "/blog/:slug";
+const SITE_PRODUCT_PATH =
+  process.env.SITE_PRODUCT_PATH || "/products/:entity/:slug";
+const FEED_TITLE = process.env.FEED_TITLE || "Coffee Lab Blog";
+const FEED_LIMIT = parseInt(process.env.FEED_LIMIT) || 50;
+
+const escapeXml = (value) =>
+  String(value === undefined || value === null ? "" : value).replace(
+    /[<>&'"]/g,
+    (c) =>
+      ({
+        "<": "&lt;",
+        ">": "&gt;",
+        "&": "&amp;",
+        "'": "&apos;",
+        '"': "&quot;",
+      })[c],
+  );
+
+const pageUrl = (siteUrl, pattern, entity, slug) =>
+  siteUrl +
+  pattern
+    .replace(":entity", encodeURIComponent(entity))
+    .replace(":slug", encodeURIComponent(slug));
+
+const uploadUrl = (apiUrl, filename) =>
+  `${apiUrl}/uploads/${encodeURIComponent(filename)}`;
+
+const coverImage = (blog) =>
+  (blog.images && imageFile(blog.images[0])) || blog.image || null;
+
+const validDate = (value) => {
+  const date = value ? new Date(value) : null;
+  return date && !isNaN(date.getTime()) ? date : null;
+};
+
+// Last change to a record, for <lastmod>
+const modifiedDate = (record, entity) =>
+  validDate(record.updatedAt) ||
+  validDate(record.createdAt) ||
+  (entity === "blogs" ? publishedDate(record) : null);
+
+// `apiUrl` is where this server is reachable (for image links); pages link
+// to SITE_URL, falling back to the same origin
+const buildFeed = (apiUrl) => {
+  const siteUrl = SITE_URL || apiUrl;
+  const now = Date.now();
+  const posts = db
+    .getAll("blogs")
+    .filter((blog) => isPublished(blog, now))
+    .map((blog) => ({ blog, date: publishedDate(blog) }))
+    .sort((a, b) => (b.date || 0) - (a.date || 0))
+    .slice(0, FEED_LIMIT);
+
+  const items = posts.map(({ blog, date }) => {
+    const link = pageUrl(siteUrl, SITE_BLOG_PATH, "blogs", blog.slug);
+    const image = coverImage(blog);
+    const lines = [
+      "    <item>",
+      `      <title>${escapeXml(blog.title)}</title>`,
+      `      <link>${escapeXml(link)}</link>`,
+      `      <guid isPermaLink="false">${escapeXml(blog.id)}</guid>`,
+      `      <description>${escapeXml(blog.excerpt || "")}</description>`,
+    ];
+    if (blog.category) {
+      lines.push(`      <category>${escapeXml(blog.category)}</category>`);
+    }
+    if (blog.author) {
+      lines.push(`      <dc:creator>${escapeXml(blog.author)}</dc:creator>`);
+    }
+    if (date) lines.push(`      <pubDate>${date.toUTCString()}</pubDate>`);
+    if (image) {
+      lines.push(
+        `      <media:content url="${escapeXml(uploadUrl(apiUrl, image))}" medium="image" type="image/webp"/>`,
+      );
+    }
+    lines.push("    </item>");
+    return lines.join("\n");
+  });
+
+  const lastBuild = posts.length > 0 && posts[0].date;
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:media="http://search.yahoo.com/mrss/">',
+    "  <channel>",
+    `    <title>${escapeXml(FEED_TITLE)}</title>`,
+    `    <link>${escapeXml(siteUrl)}</link>`,
+    `    <description>${escapeXml(FEED_TITLE)}</description>`,
+    `    <atom:link href="${escapeXml(`${apiUrl}/feed.xml`)}" rel="self" type="application/rss+xml"/>`,
+    ...(lastBuild
+      ? [`    <lastBuildDate>${lastBuild.toUTCString()}</lastBuildDate>`]
+      : []),
+    ...items,
+    "  </channel>",
+    "</rss>",
+    "",
+  ].join("\n");
+};
+
+// Every product and published post, with its last change
+const buildSitemap = (apiUrl) => {
+  const siteUrl = SITE_URL || apiUrl;
+  const now = Date.now();
+  const entries = [];
+
+  db.productEntities.forEach((entity) => {
+    db.getAll(entity).forEach((product) => {
+      if (!product.slug) return;
+      entries.push({
+        loc: pageUrl(siteUrl, SITE_PRODUCT_PATH, entity, product.slug),
+        lastmod: modifiedDate(product, entity),
+      });
+    });
+  });
+
+  db.getAll("blogs")
+    .filter((blog) => blog.slug && isPublished(blog, now))
+    .forEach((blog) => {
+      entries.push({
+        loc: pageUrl(siteUrl, SITE_BLOG_PATH, "blogs", blog.slug),
+        lastmod: modifiedDate(blog, "blogs"),
+      });
+    });
+
+  const urls = entries.map(({ loc, lastmod }) =>
+    [
+      "  <url>",
+      `    <loc>${escapeXml(loc)}</loc>`,
+      ...(lastmod ? [`    <lastmod>${lastmod.toISOString()}</lastmod>`] : []),
+      "  </url>",
+    ].join("\n"),
+  );
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    ...urls,
+    "</urlset>",
+    "",
+  ].join("\n");
+};
+
+module.exports = { buildFeed, buildSitemap };
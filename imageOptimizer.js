@@ -1,47 +1,327 @@
 const sharp = require("sharp");
 const path = require("path");
 const fs = require("fs");
+const crypto = require("crypto");
+
+const UPLOADS_DIR = path.join(__dirname, "uploads");
+const CACHE_DIR = path.join(UPLOADS_DIR, "cache");
+// Raw uploads wait here until they are checked and converted
+const INCOMING_DIR = path.join(UPLOADS_DIR, ".incoming");
+
+const MB = 1024 * 1024;
+const UPLOAD_LIMITS = {
+  fileBytes: (parseFloat(process.env.UPLOAD_MAX_FILE_MB) || 10) * MB,
+  requestBytes: (parseFloat(process.env.UPLOAD_MAX_REQUEST_MB) || 40) * MB,
+  files: parseInt(process.env.UPLOAD_MAX_FILES) || 10,
+};
+
+// Accepted upload types, recognised by their leading bytes rather than the
+// file name or the client's Content-Type
+const IMAGE_SIGNATURES = [
+  {
+    type: "jpeg",
+    test: (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff,
+  },
+  {
+    type: "png",
+    test: (b) =>
+      b.subarray(0, 8).equals(Buffer.from("89504e470d0a1a0a", "hex")),
+  },
+  { type: "gif", test: (b) => /^GIF8[79]a/.test(b.toString("latin1", 0, 6)) },
+  {
+    type: "webp",
+    test: (b) =>
+      b.toString("latin1", 0, 4) === "RIFF" &&
+      b.toString("latin1", 8, 12) === "WEBP",
+  },
+  {
+    type: "avif",
+    test: (b) =>
+      b.toString("latin1", 4, 8) === "ftyp" &&
+      ["avif", "avis"].includes(b.toString("latin1", 8, 12)),
+  },
+];
+
+const sniffImageType = (filePath) => {
+  const buffer = Buffer.alloc(16);
+  const fd = fs.openSync(filePath, "r");
+  try {
+    fs.readSync(fd, buffer, 0, buffer.length, 0);
+  } finally {
+    fs.closeSync(fd);
+  }
+  const match = IMAGE_SIGNATURES.find((signature) => signature.test(buffer));
+  return match ? match.type : null;
+};
+
+// Sizes generated for every upload (thumbnail, card, full), each as WebP and
+// AVIF. The full-size WebP is the file recorded in the entity's `images`.
+const IMAGE_WIDTHS = [320, 640, 1200];
+const FULL_WIDTH = 1200;
+const VARIANT_FORMATS = ["webp", "avif"];
+
+// What GET /uploads/:file?w=&format= may produce. Requested widths snap up
+// to the next allowed one so the cache stays small.
+const ALLOWED_WIDTHS = [160, 320, 480, 640, 800, 960, 1200, 1600];
+const OUTPUT_FORMATS = ["webp", "avif", "jpeg", "png"];
+
+const encode = (pipeline, format) => {
+  switch (format) {
+    case "avif":
+      return pipeline.avif({ quality: 50, effort: 2 });
+    case "jpeg":
+      return pipeline.jpeg({ quality: 80, mozjpeg: true });
+    case "png":
+      return pipeline.png();
+    default:
+      return pipeline.webp({ quality: 80 });
+  }
+};
+
+// rotate() applies the EXIF orientation; the output carries no metadata,
+// so camera details and GPS position are dropped
+const resizeTo = (source, width, format, destination) =>
+  encode(
+    sharp(source).rotate().resize({ width, withoutEnlargement: true }),
+    format,
+  ).toFile(destination);
+
+const stemOf = (filename) => filename.replace(/\.[^.]+$/, "");
+
+// Size variants already on disk for a stored image (duplicate uploads)
+const readVariants = async (stem) => {
+  const variants = [];
+  for (const width of IMAGE_WIDTHS) {
+    for (const format of VARIANT_FORMATS) {
+      const file =
+        width === FULL_WIDTH && format === "webp"
+          ? `${stem}.webp`
+          : `${stem}-${width}w.${format}`;
+      const filePath = path.join(UPLOADS_DIR, file);
+      if (!fs.existsSync(filePath)) continue;
+      const { width: actualWidth } = await sharp(filePath).metadata();
+      variants.push({ width: actualWidth, format, file });
+    }
+  }
+  return variants;
+};
+
+// Converts one checked upload into the stored WebP plus its size variants.
+// Files are named by a hash of their contents, so uploading the same image
+// again reuses the stored copy.
+const processFile = async (file) => {
+  const source = file.path;
+  const hash = crypto
+    .createHash("sha256")
+    .update(fs.readFileSync(source))
+    .digest("hex")
+    .slice(0, 16);
+  const stem = `img-${hash}`;
+  const optimizedFilename = `${stem}.webp`;
+  const optimizedPath = path.join(UPLOADS_DIR, optimizedFilename);
+
+  let main;
+  let variants;
+  if (fs.existsSync(optimizedPath)) {
+    main = await sharp(optimizedPath).metadata();
+    variants = await readVariants(stem);
+  } else {
+    file.created = [];
+    const { width: sourceWidth } = await sharp(source).metadata();
+    main = await resizeTo(source, FULL_WIDTH, "webp", optimizedPath);
+    file.created.push(optimizedPath);
+
+    // Smaller widths are skipped when the source is already narrower
+    variants = [];
+    for (const width of IMAGE_WIDTHS) {
+      if (width !== FULL_WIDTH && width >= sourceWidth) continue;
+      for (const format of VARIANT_FORMATS) {
+        if (width === FULL_WIDTH && format === "webp") {
+          variants.push({ width: main.width, format, file: optimizedFilename });
+          continue;
+        }
+        const variantFile = `${stem}-${width}w.${format}`;
+        const variantPath = path.join(UPLOADS_DIR, variantFile);
+        const info = await resizeTo(source, width, format, variantPath);
+        file.created.push(variantPath);
+        variants.push({ width: info.width, format, file: variantFile });
+      }
+    }
+  }
+
+  // Remove original file
+  fs.unlinkSync(source);
+
+  // Update file info
+  file.path = optimizedPath;
+  file.filename = optimizedFilename;
+  file.mimetype = "image/webp";
+  file.width = main.width;
+  file.height = main.height;
+  file.variants = variants;
+};
+
+// Rejects the whole request. Raw uploads and any files this request wrote
+// are removed first; stored images reused as duplicates are left alone.
+const rejectUploads = (res, files, status, error) => {
+  files.forEach((file) => {
+    const raw = file.path.startsWith(INCOMING_DIR) ? [file.path] : [];
+    [...raw, ...(file.created || [])].forEach((filePath) => {
+      if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+    });
+  });
+  return res.status(status).json({ success: false, errors: [error] });
+};
 
 const optimizeImages = async (req, res, next) => {
-  if (!req.files && !req.file) return next();
-
-  const processFile = async (file) => {
-    const originalPath = path.isAbsolute(file.path)
-      ? file.path
-      : path.join(__dirname, file.path);
-    const optimizedFilename = `opt-${Date.now()}-${file.originalname.split(".")[0]}.webp`;
-    const optimizedPath = path.join(
-      path.dirname(originalPath),
-      optimizedFilename,
+  const files = req.files || (req.file ? [req.file] : []);
+  if (files.length === 0) return next();
+
+  const totalBytes = files.reduce((sum, file) => sum + file.size, 0);
+  if (totalBytes > UPLOAD_LIMITS.requestBytes) {
+    return rejectUploads(
+      res,
+      files,
+      413,
+      `Uploads may total at most ${UPLOAD_LIMITS.requestBytes / MB} MB per request`,
     );
+  }
+
+  const unsupported = files.find((file) => !sniffImageType(file.path));
+  if (unsupported) {
+    return rejectUploads(
+      res,
+      files,
+      415,
+      `${unsupported.originalname}: only JPEG, PNG, WebP, GIF and AVIF images are allowed`,
+    );
+  }
 
+  // One file at a time: AVIF encoding is CPU heavy
+  for (const file of files) {
     try {
-      await sharp(originalPath)
-        .withMetadata()
-        .resize({ width: 1200, withoutEnlargement: true })
-        .toFormat("webp")
-        .webp({ quality: 80 })
-        .toFile(optimizedPath);
-
-      // Remove original file
-      fs.unlinkSync(originalPath);
-
-      // Update file info
-      file.path = optimizedPath;
-      file.filename = optimizedFilename;
-      file.mimetype = "image/webp";
+      await processFile(file);
     } catch (err) {
       console.error("Error optimizing image:", err);
+      return rejectUploads(
+        res,
+        files,
+        422,
+        `${file.originalname}: the image could not be processed`,
+      );
     }
-  };
-
-  if (req.files) {
-    await Promise.all(req.files.map(processFile));
-  } else if (req.file) {
-    await processFile(req.file);
   }
 
   next();
 };
 
-module.exports = optimizeImages;
+// An entry of an entity's `images`: the stored file and its size variants.
+// Records saved before variants existed hold bare filenames instead.
+const imageEntry = (file, variants) => ({ file, variants: variants || [] });
+
+const imageFile = (entry) =>
+  typeof entry === "string" ? entry : entry && entry.file;
+
+// `images` entries for the uploaded files
+const imageEntries = (files) =>
+  (files || []).map((file) => imageEntry(file.filename, file.variants));
+
+const inFlight = new Map();
+
+// Resolves a ?w=&format= request to a cached file, generating it on first
+// use. Returns { error } for bad parameters or a file that cannot be
+// decoded (with status 422), { notFound } for unknown files.
+const resizeCached = async (filename, query) => {
+  const file = path.basename(filename);
+  const source = path.join(UPLOADS_DIR, file);
+  if (!fs.existsSync(source) || !fs.statSync(source).isFile()) {
+    return { notFound: true };
+  }
+
+  let width = null;
+  if (query.w !== undefined) {
+    const requested = parseInt(query.w);
+    if (!(requested > 0)) return { error: "w must be a positive integer" };
+    width =
+      ALLOWED_WIDTHS.find((allowed) => allowed >= requested) ||
+      ALLOWED_WIDTHS[ALLOWED_WIDTHS.length - 1];
+  }
+
+  const sourceFormat = path.extname(file).slice(1).replace("jpg", "jpeg");
+  const format = query.format || sourceFormat;
+  if (!OUTPUT_FORMATS.includes(format)) {
+    return { error: `format must be one of: ${OUTPUT_FORMATS.join(", ")}` };
+  }
+  if (!width && format === sourceFormat) return { path: source };
+
+  const cachedName = `${stemOf(file)}-${width ? `${width}w` : "full"}.${format}`;
+  const cachedPath = path.join(CACHE_DIR, cachedName);
+  if (fs.existsSync(cachedPath)) return { path: cachedPath, format };
+
+  // Concurrent requests for the same size share one encode
+  if (!inFlight.has(cachedPath)) {
+    fs.mkdirSync(CACHE_DIR, { recursive: true });
+    const tmpPath = `${cachedPath}.${process.pid}.tmp`;
+    const job = resizeTo(source, width, format, tmpPath)
+      .then(() => fs.renameSync(tmpPath, cachedPath))
+      .catch((err) => {
+        fs.rmSync(tmpPath, { force: true });
+        throw err;
+      })
+      .finally(() => inFlight.delete(cachedPath));
+    inFlight.set(cachedPath, job);
+  }
+  try {
+    await inFlight.get(cachedPath);
+  } catch (err) {
+    console.error(`Error resizing ${file}:`, err.message);
+    return { error: "the image could not be processed", status: 422 };
+  }
+  return { path: cachedPath, format };
+};
+
+// Files in dir named <stem>-<suffix> for a suffix matching pattern
+const derivedFiles = (dir, filename, pattern) => {
+  if (!fs.existsSync(dir)) return [];
+  const prefix = `${stemOf(filename)}-`;
+  return fs
+    .readdirSync(dir)
+    .filter(
+      (name) =>
+        name.startsWith(prefix) && pattern.test(name.slice(prefix.length)),
+    )
+    .map((name) => path.join(dir, name));
+};
+
+// Deletes an upload together with its generated and cached variants. Size
+// variants are also found by name, for uploads no record lists them on.
+const removeImageFiles = (filename, variants = []) => {
+  const files = [
+    path.join(UPLOADS_DIR, filename),
+    ...variants.map((v) => path.join(UPLOADS_DIR, v.file)),
+    ...derivedFiles(UPLOADS_DIR, filename, /^\d+w\.(webp|avif)$/),
+    ...derivedFiles(CACHE_DIR, filename, /^(\d+w|full)\.\w+$/),
+  ];
+
+  new Set(files).forEach((filePath) => {
+    if (!fs.existsSync(filePath)) return;
+    try {
+      fs.unlinkSync(filePath);
+      console.log(`Deleted file: ${filePath}`);
+    } catch (err) {
+      console.error(`Error deleting file ${filePath}:`, err);
+    }
+  });
+};
+
+module.exports = {
+  UPLOAD_LIMITS,
+  INCOMING_DIR,
+  optimizeImages,
+  imageEntry,
+  imageFile,
+  imageEntries,
+  resizeCached,
+  removeImageFiles,
+  IMAGE_WIDTHS,
+};
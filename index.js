@@ -2,33 +2,97 @@ const express = require("express");
 const path = require("path");
 const fs = require("fs");
 const cookieParser = require("cookie-parser");
-const jwt = require("jsonwebtoken");
 require("dotenv").config();
 
+const crypto = require("crypto");
 const multer = require("multer");
+const {
+  UPLOAD_LIMITS,
+  INCOMING_DIR,
+  optimizeImages,
+  imageEntries,
+  resizeCached,
+} = require("./imageOptimizer");
 
+// Raw uploads get a random name in the incoming folder; optimizeImages
+// checks them and stores the result under a content-hash name.
 const storage = multer.diskStorage({
   destination: function (req, file, cb) {
-    const uploadPath = path.join(__dirname, "uploads");
-    if (!fs.existsSync(uploadPath)) {
-      fs.mkdirSync(uploadPath, { recursive: true });
+    if (!fs.existsSync(INCOMING_DIR)) {
+      fs.mkdirSync(INCOMING_DIR, { recursive: true });
     }
-    cb(null, uploadPath);
+    cb(null, INCOMING_DIR);
   },
   filename: function (req, file, cb) {
-    cb(null, `${Date.now()}-${file.originalname}`);
+    cb(null, `${Date.now()}-${crypto.randomBytes(8).toString("hex")}`);
   },
 });
 
-const upload = multer({
+const uploader = multer({
   storage: storage,
   limits: {
     fieldSize: 50 * 1024 * 1024, // 50MB limit for text fields (e.g. blog body)
+    fileSize: UPLOAD_LIMITS.fileBytes,
+    files: UPLOAD_LIMITS.files,
   },
 });
 
+// Routes after an upload still know who is making the change (audit.js)
+const upload = {
+  single: (field) => audit.keepAuditContext(uploader.single(field)),
+  array: (field) => audit.keepAuditContext(uploader.array(field)),
+};
+
 const db = require("./db");
-const optimizeImages = require("./imageOptimizer");
+const { normalizeCode, evaluateCoupon, redeemCoupon } = require("./coupons");
+const { priceItems, orderTotals, priceOrder } = require("./pricing");
+const { reserveStock, releaseStock } = require("./inventory");
+const {
+  ORDER_STATUSES,
+  INITIAL_STATUS,
+  isValidStatus,
+  canTransition,
+  historyEntry,
+} = require("./orderStatus");
+const auth = require("./auth");
+const { queryRecords } = require("./query");
+const { SCHEMAS, validateEntity, toList } = require("./schemas");
+const {
+  buildMediaIndex,
+  toImageEntries,
+  removeMedia,
+  cleanupOrphans,
+  startMediaCleanup,
+} = require("./media");
+const blogs = require("./blogs");
+const { buildFeed, buildSitemap } = require("./feeds");
+const { publish } = require("./eventBus");
+const notifications = require("./notifications");
+const changeFeed = require("./changeFeed");
+const audit = require("./audit");
+const trash = require("./trash");
+const {
+  FORMATS,
+  sendSpreadsheet,
+  spreadsheetFormat,
+  readSpreadsheet,
+  ORDER_COLUMNS,
+  orderRows,
+} = require("./spreadsheets");
+const {
+  PRODUCT_TYPES,
+  PRODUCT_COLUMNS,
+  productRows,
+  importProducts,
+} = require("./productSheets");
+const { REPORT_INTERVALS, periodCount, salesReport } = require("./reports");
+const {
+  DOCUMENT_TYPES,
+  findInvoice,
+  documentErrors,
+  renderOrderDocuments,
+} = require("./invoices");
+const shipping = require("./shipping");
 
 const app = express();
 const cors = require("cors");
@@ -36,6 +100,8 @@ app.use(
   cors({
     origin: true,
     credentials: true,
+    // Cross-origin editors need the version for If-Match
+    exposedHeaders: ["ETag"],
   }),
 );
 app.use(express.json());
@@ -49,37 +115,80 @@ app.use((req, res, next) => {
   next();
 });
 
-// Check if user is authenticated
-const isAuthenticated = (req) => {
-  const token = req.cookies.admin_token;
-  if (!token) return false;
-  return token === process.env.API_KEY;
+// Resolves the caller: a signed session cookie for staff, or the API key
+// header for scripts (treated as the owner).
+const authenticate = (req) => {
+  if (process.env.API_KEY && req.headers["x-api-key"] === process.env.API_KEY) {
+    return { user: { id: "api-key", username: "api-key", role: "owner" } };
+  }
+  return auth.verifySession(req.cookies.admin_token);
 };
 
+// Who made a request, recorded in order status history
+const getActor = (req) => (req.auth ? req.auth.user.username : "anonymous");
+
+// Read policy: catalog entities are public, customer and coupon data is not
+const publicReadPaths = [
+  "/api/beans",
+  "/api/machines",
+  "/api/syrups",
+  "/api/sauces",
+  "/api/blogs",
+  "/api/order-statuses",
+  "/api/schemas",
+];
+
+// Staff-only reads below a public path
+const privateReadPatterns = [
+  /^\/api\/blogs\/[^/]+\/revisions(\/|$)/,
+  /^\/api\/[^/]+\/[^/]+\/history$/,
+  /^\/api\/[^/]+\/trash(\/|$)/,
+];
+
+const isPublicRead = (req) =>
+  req.method === "GET" &&
+  publicReadPaths.some(
+    (publicPath) =>
+      req.path === publicPath || req.path.startsWith(`${publicPath}/`),
+  ) &&
+  !privateReadPatterns.some((pattern) => pattern.test(req.path));
+
 // Auth Middleware for API routes
 const authMiddleware = (req, res, next) => {
-  const publicPaths = ["/login", "/login.html", "/api/login", "/logo.png"];
+  const publicPaths = [
+    "/login",
+    "/login.html",
+    "/api/login",
+    "/api/coupons/validate",
+    "/api/orders/track",
+    "/api/shipping/quote",
+    "/logo.png",
+    "/feed.xml",
+    "/sitemap.xml",
+  ];
   if (
     publicPaths.includes(req.path) ||
     req.path.startsWith("/uploads/") ||
     req.path.endsWith(".css") ||
     req.path.endsWith(".js") ||
-    req.path.includes("sheetjs") ||
-    (req.method === "GET" && req.path.startsWith("/api/"))
+    isPublicRead(req)
   ) {
     return next();
   }
 
-  // Check for API Key in cookie or header
   const token = req.cookies.admin_token || req.headers["x-api-key"];
+  const session = authenticate(req);
 
-  if (!token || token !== process.env.API_KEY) {
+  if (!session) {
     // Determine response type (JSON vs Redirect)
     if (
       req.xhr ||
+      req.path.startsWith("/api/") ||
       (req.headers.accept && req.headers.accept.indexOf("json") > -1)
     ) {
-      return res.status(401).json({ message: "Unauthorized: Invalid API Key" });
+      return res
+        .status(401)
+        .json({ message: "Unauthorized: Invalid or expired session" });
     }
     // Only redirect browser requests if no token found
     if (!token) return res.redirect("/login");
@@ -88,47 +197,325 @@ const authMiddleware = (req, res, next) => {
     return res.redirect("/login");
   }
 
+  // Role check for API routes, by resource (/api/<resource>/...)
+  if (req.path.startsWith("/api/")) {
+    const resource = req.path.split("/")[2];
+    if (!auth.canAccess(session.user.role, resource)) {
+      return res
+        .status(403)
+        .json({ message: "Forbidden: your role cannot access this resource" });
+    }
+  }
+
+  req.auth = session;
   next();
 };
 
 app.use(authMiddleware);
+// Lets the audit log see who made each change
+app.use(audit.auditContext);
 
-// Login Route
 // Login Route
 app.post("/api/login", (req, res) => {
-  const { username, password } = req.body;
+  const { username, password } = req.body || {};
+  const user = auth.findUserByUsername(username);
   if (
-    username === process.env.ADMIN_USER &&
-    password === process.env.ADMIN_PASS
+    !user ||
+    typeof password !== "string" ||
+    !auth.verifyPassword(password, user.passwordHash)
   ) {
-    // Set API Key in cookie
-    res.cookie("admin_token", process.env.API_KEY, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === "production",
-      maxAge: 365 * 24 * 60 * 60 * 1000, // 1 year
-    });
     return res
-      .status(200)
-      .json({ success: true, message: "Logged in successfully" });
+      .status(401)
+      .json({ success: false, message: "Invalid credentials" });
   }
-  return res
-    .status(401)
-    .json({ success: false, message: "Invalid credentials" });
+
+  const { token } = auth.createSession(user, {
+    userAgent: req.headers["user-agent"],
+    ip: req.ip,
+  });
+  res.cookie("admin_token", token, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === "production",
+    sameSite: "lax",
+    maxAge: auth.SESSION_TTL_MS,
+  });
+  return res.status(200).json({
+    success: true,
+    message: "Logged in successfully",
+    user: auth.publicUser(user),
+  });
 });
 
-// Logout Route
+// Logout Route (revokes the current session)
 app.post("/api/logout", (req, res) => {
+  if (req.auth && req.auth.session) {
+    auth.revokeSession(req.auth.session.id);
+  }
   res.clearCookie("admin_token");
   res.json({ success: true });
 });
 
+// Current user
+app.get("/api/me", (req, res) => {
+  res.json(auth.publicUser(req.auth.user));
+});
+
+app.put("/api/me/password", (req, res) => {
+  if (!req.auth.session) {
+    return res.status(400).json({
+      success: false,
+      errors: ["Sign in with an account to change its password"],
+    });
+  }
+
+  const { currentPassword, newPassword } = req.body || {};
+  const errors = [];
+  if (
+    typeof currentPassword !== "string" ||
+    !auth.verifyPassword(currentPassword, req.auth.user.passwordHash)
+  )
+    errors.push("currentPassword is incorrect");
+  if (typeof newPassword !== "string" || newPassword.length < 8)
+    errors.push("newPassword must be at least 8 characters");
+  if (errors.length > 0) {
+    return res.status(400).json({ success: false, errors });
+  }
+
+  db.update("users", req.auth.user.id, {
+    passwordHash: auth.hashPassword(newPassword),
+    passwordChangedAt: new Date().toISOString(),
+  });
+  // Sign out everywhere else
+  auth.revokeUserSessions(req.auth.user.id, req.auth.session.id);
+  res.json({ success: true, message: "Password changed successfully" });
+});
+
+// Sessions of the current user
+app.get("/api/sessions", (req, res) => {
+  const currentId = req.auth.session && req.auth.session.id;
+  const sessions = db
+    .getAll("sessions")
+    .filter((s) => s.userId === req.auth.user.id && !s.revokedAt)
+    .map((s) => ({ ...s, current: s.id === currentId }));
+  res.json(sessions);
+});
+
+app.delete("/api/sessions/:id", (req, res) => {
+  const session = db.getByIdOrSlug("sessions", req.params.id);
+  if (!session || session.userId !== req.auth.user.id) {
+    return res.status(404).json({ message: "Session not found" });
+  }
+  auth.revokeSession(session.id);
+  res.json({ success: true, message: "Session revoked" });
+});
+
+// Live record changes as Server-Sent Events, limited to what the caller's
+// role can read. ?entities=orders,beans narrows the stream.
+app.get("/api/events", (req, res) => {
+  const { role } = req.auth.user;
+  const token = req.cookies.admin_token;
+  changeFeed.openStream(req, res, {
+    entities: req.query.entities
+      ? String(req.query.entities)
+          .split(",")
+          .map((entity) => entity.trim())
+          .filter(Boolean)
+      : null,
+    canRead: (resource) => auth.canAccess(role, resource),
+    isValid: () => !req.auth.session || !!auth.verifySession(token),
+  });
+});
+
+// ?from= and ?to= as ISO timestamps. Both take dates or timestamps; a bare
+// date in `to` includes that whole day.
+const parseDateRange = ({ from, to }) => {
+  const errors = [];
+  const toTimestamp = (value, name, endOfDay) => {
+    if (value === undefined || value === "") return undefined;
+    const text = String(value);
+    const date = new Date(
+      endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(text)
+        ? `${text}T23:59:59.999Z`
+        : text,
+    );
+    if (isNaN(date.getTime())) {
+      errors.push(`${name} must be a date`);
+      return undefined;
+    }
+    return date.toISOString();
+  };
+  const since = toTimestamp(from, "from", false);
+  const until = toTimestamp(to, "to", true);
+  return { errors, since, until };
+};
+
+// Audit log (owner only). Filters by entity, actor, action and recordId
+// like any list, and by date with ?from= and ?to=.
+app.get("/api/audit-log", (req, res) => {
+  const { from, to, ...query } = req.query;
+  const { errors, since, until } = parseDateRange({ from, to });
+  if (errors.length > 0) {
+    return res.status(400).json({ success: false, errors });
+  }
+
+  if (since) query.at_gte = since;
+  if (until) query.at_lte = until;
+  if (!query.sort) query.sort = "-at";
+  sendQueryResult(
+    res,
+    db.getAll(audit.AUDIT_ENTITY),
+    query,
+    audit.AUDIT_ENTITY,
+  );
+});
+
+// User management (owner only, enforced by the role check)
+const validateUser = (body, isNew) => {
+  const errors = [];
+  if (isNew && (!body.username || !body.username.toString().trim()))
+    errors.push("username is required");
+  if (isNew && auth.findUserByUsername(body.username))
+    errors.push("username is already taken");
+  if (
+    (isNew || body.password !== undefined) &&
+    (typeof body.password !== "string" || body.password.length < 8)
+  )
+    errors.push("password must be at least 8 characters");
+  if ((isNew || body.role !== undefined) && !auth.isValidRole(body.role))
+    errors.push(`role must be one of: ${Object.keys(auth.ROLES).join(", ")}`);
+  return errors;
+};
+
+app.get("/api/users", (req, res) => {
+  res.json(db.getAll("users").map(auth.publicUser));
+});
+
+app.post("/api/users", (req, res) => {
+  const body = req.body || {};
+  const errors = validateUser(body, true);
+  if (errors.length > 0) {
+    return res.status(400).json({ success: false, errors });
+  }
+  const user = auth.createUser(body);
+  res.json({
+    message: "User created successfully",
+    payload: auth.publicUser(user),
+  });
+});
+
+app.put("/api/users/:id", (req, res) => {
+  const user = db.getByIdOrSlug("users", req.params.id);
+  if (!user) return res.status(404).json({ message: "User not found" });
+
+  const body = req.body || {};
+  const errors = validateUser(body, false);
+  if (errors.length > 0) {
+    return res.status(400).json({ success: false, errors });
+  }
+
+  const updates = {};
+  if (body.name !== undefined) updates.name = body.name;
+  if (body.role !== undefined) updates.role = body.role;
+  if (body.password !== undefined) {
+    updates.passwordHash = auth.hashPassword(body.password);
+    updates.passwordChangedAt = new Date().toISOString();
+  }
+  const updatedUser = db.update("users", user.id, updates);
+
+  // New password or role takes effect on the next sign-in
+  if (updates.passwordHash || updates.role) auth.revokeUserSessions(user.id);
+  res.json({
+    message: "User updated successfully",
+    payload: auth.publicUser(updatedUser),
+  });
+});
+
+app.delete("/api/users/:id", (req, res) => {
+  if (req.params.id === req.auth.user.id) {
+    return res
+      .status(400)
+      .json({ success: false, errors: ["You cannot delete your own account"] });
+  }
+  const deletedUser = db.delete("users", req.params.id);
+  if (!deletedUser) return res.status(404).json({ message: "User not found" });
+  auth.revokeUserSessions(deletedUser.id);
+  res.json({ message: "Deleted successfully" });
+});
+
+app.post("/api/users/:id/revoke-sessions", (req, res) => {
+  const user = db.getByIdOrSlug("users", req.params.id);
+  if (!user) return res.status(404).json({ message: "User not found" });
+  const revoked = auth.revokeUserSessions(user.id);
+  res.json({ success: true, message: `Revoked ${revoked} session(s)` });
+});
+
 const uploadsPath = path.join(__dirname, "uploads");
+
+// Resized copies on demand: /uploads/<file>?w=640&format=avif. Plain
+// requests fall through to the static handler.
+app.get("/uploads/:file", async (req, res, next) => {
+  if (req.query.w === undefined && req.query.format === undefined) {
+    return next();
+  }
+  const result = await resizeCached(req.params.file, req.query);
+  if (result.notFound) return res.status(404).json({ message: "Not found" });
+  if (result.error) {
+    return res
+      .status(result.status || 400)
+      .json({ success: false, errors: [result.error] });
+  }
+  res.set("Cache-Control", "public, max-age=31536000, immutable");
+  res.sendFile(result.path);
+});
+
 app.use("/uploads", express.static(uploadsPath));
 
+// Media library: uploads with their references (see media.js)
+app.get("/api/media", async (req, res) => {
+  sendQueryResult(res, await buildMediaIndex(), req.query, "media");
+});
+
+app.delete("/api/media/:file", (req, res) => {
+  const file = path.basename(req.params.file);
+  if (!fs.existsSync(path.join(uploadsPath, file))) {
+    return res.status(404).json({ message: "Not found" });
+  }
+  if (!removeMedia(file)) {
+    return res
+      .status(409)
+      .json({ message: "File is still used and cannot be deleted" });
+  }
+  res.json({ message: "Deleted successfully" });
+});
+
+// Removes unreferenced uploads older than the grace period.
+// { "dryRun": true } only reports what would be removed.
+app.post("/api/media/cleanup", async (req, res) => {
+  const body = req.body || {};
+  const options = { dryRun: body.dryRun === true || body.dryRun === "true" };
+  if (body.graceHours !== undefined) {
+    const graceHours = parseFloat(body.graceHours);
+    if (isNaN(graceHours) || graceHours < 0) {
+      return res.status(400).json({
+        success: false,
+        errors: ["graceHours must be a non-negative number"],
+      });
+    }
+    options.graceHours = graceHours;
+  }
+  res.json(await cleanupOrphans(options));
+});
+
 // Standalone image upload (for Quill editor inline images)
 app.post("/api/upload", upload.single("image"), optimizeImages, (req, res) => {
   if (!req.file) return res.status(400).json({ message: "No file uploaded" });
-  res.json({ url: `/uploads/${req.file.filename}` });
+  res.json({
+    url: `/uploads/${req.file.filename}`,
+    variants: (req.file.variants || []).map((variant) => ({
+      ...variant,
+      url: `/uploads/${variant.file}`,
+    })),
+  });
 });
 
 // Serve static assets (CSS, JS, images)
@@ -150,34 +537,51 @@ app.use((req, res, next) => {
 
 // Login page route - redirect to dashboard if already logged in
 app.get("/login", (req, res) => {
-  if (isAuthenticated(req)) {
+  if (authenticate(req)) {
     return res.redirect("/");
   }
   res.sendFile(path.join(__dirname, "public", "login.html"));
 });
 
-// Protected page routes
+// Protected page routes, each tied to the API resource it manages
 const protectedPages = [
-  { route: "/", file: "index.html" },
-  { route: "/products", file: "index.html" },
-  { route: "/orders", file: "orders.html" },
-  { route: "/blogs", file: "blogs.html" },
-  { route: "/coupons", file: "coupons.html" },
-  { route: "/add-product", file: "add-product.html" },
-  { route: "/add-order", file: "add-order.html" },
-  { route: "/add-blog", file: "add-blog.html" },
-  { route: "/add-coupon", file: "add-coupon.html" },
-  { route: "/edit-product", file: "add-product.html" },
-  { route: "/edit-order", file: "add-order.html" },
-  { route: "/edit-blog", file: "add-blog.html" },
-  { route: "/edit-coupon", file: "add-coupon.html" },
+  { route: "/", file: "index.html", resource: "beans" },
+  { route: "/products", file: "index.html", resource: "beans" },
+  { route: "/orders", file: "orders.html", resource: "orders" },
+  { route: "/blogs", file: "blogs.html", resource: "blogs" },
+  { route: "/coupons", file: "coupons.html", resource: "coupons" },
+  { route: "/add-product", file: "add-product.html", resource: "beans" },
+  { route: "/add-order", file: "add-order.html", resource: "orders" },
+  { route: "/add-blog", file: "add-blog.html", resource: "blogs" },
+  { route: "/add-coupon", file: "add-coupon.html", resource: "coupons" },
+  { route: "/edit-product", file: "add-product.html", resource: "beans" },
+  { route: "/edit-order", file: "add-order.html", resource: "orders" },
+  { route: "/edit-blog", file: "add-blog.html", resource: "blogs" },
+  { route: "/edit-coupon", file: "add-coupon.html", resource: "coupons" },
+  { route: "/media", file: "media.html", resource: "media" },
+  {
+    route: "/notifications",
+    file: "notifications.html",
+    resource: "notifications",
+  },
+  { route: "/shipping", file: "shipping.html", resource: "shipping-zones" },
+  { route: "/trash", file: "trash.html", resource: "trash" },
 ];
 
-protectedPages.forEach(({ route, file }) => {
+protectedPages.forEach(({ route, file, resource }) => {
   app.get(route, (req, res) => {
-    if (!isAuthenticated(req)) {
+    const session = authenticate(req);
+    if (!session) {
       return res.redirect("/login");
     }
+    if (!auth.canAccess(session.user.role, resource)) {
+      // Send the user to the first page their role can use
+      const home = protectedPages.find((page) =>
+        auth.canAccess(session.user.role, page.resource),
+      );
+      if (!home) return res.status(403).send("Forbidden");
+      return res.redirect(home.route);
+    }
     res.sendFile(path.join(__dirname, "public", file));
   });
 });
@@ -191,69 +595,426 @@ const entities = [
   "blogs",
   "orders",
   "coupons",
+  "shipping-zones",
 ];
+
+// Applies ?q=&sort=&limit=... (query.js) and answers with a bare array, or
+// a paging envelope when limit/offset were given
+const sendQueryResult = (res, records, query, entity) => {
+  const result = queryRecords(records, query, entity);
+  if (result.errors.length > 0) {
+    return res.status(400).json({ success: false, errors: result.errors });
+  }
+
+  res.set("X-Total-Count", String(result.total));
+  if (!result.paginated) return res.json(result.items);
+
+  const nextOffset = result.offset + result.items.length;
+  res.json({
+    items: result.items,
+    total: result.total,
+    limit: result.limit,
+    offset: result.offset,
+    nextOffset: nextOffset < result.total ? nextOffset : null,
+  });
+};
+
+// Drafts and posts scheduled for later are only visible to staff
+const isVisible = (req, entity, item) =>
+  entity !== "blogs" || blogs.isPublished(item) || !!authenticate(req);
+
+// ?format=csv (default) or xlsx
+const exportFormatOf = (query) => {
+  const format = String(query.format || "csv").toLowerCase();
+  return FORMATS[format] ? format : null;
+};
+
+const today = () => new Date().toISOString().split("T")[0];
+
+// Registered before /api/orders/:identifier. One row per line item;
+// ?from=&to= filter by order date, ?status=Pending,Shipped by status.
+app.get("/api/orders/export", async (req, res) => {
+  const format = exportFormatOf(req.query);
+  const { errors, since, until } = parseDateRange(req.query);
+  if (!format) errors.push("format must be csv or xlsx");
+  const statuses = req.query.status ? toList(req.query.status) : null;
+  if (statuses && statuses.some((status) => !isValidStatus(status))) {
+    errors.push(
+      `status must be one of: ${ORDER_STATUSES.map((s) => s.status).join(", ")}`,
+    );
+  }
+  if (errors.length > 0) {
+    return res.status(400).json({ success: false, errors });
+  }
+
+  const orders = db
+    .getAll("orders")
+    .filter(
+      (order) =>
+        (!since || order.createdAt >= since) &&
+        (!until || order.createdAt <= until) &&
+        (!statuses || statuses.includes(order.status)),
+    )
+    .sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+
+  await sendSpreadsheet(res, format, `orders-${today()}`, [
+    { name: "Orders", columns: ORDER_COLUMNS, rows: orderRows(orders) },
+  ]);
+});
+
+// Every product type, or ?type=beans,syrups. XLSX has a sheet per type;
+// CSV has all of them in one table. The file can be imported again.
+app.get("/api/products/export", async (req, res) => {
+  const format = exportFormatOf(req.query);
+  const types = req.query.type ? toList(req.query.type) : PRODUCT_TYPES;
+  const errors = [];
+  if (!format) errors.push("format must be csv or xlsx");
+  if (types.some((type) => !PRODUCT_TYPES.includes(type))) {
+    errors.push(`type must be one of: ${PRODUCT_TYPES.join(", ")}`);
+  }
+  if (errors.length > 0) {
+    return res.status(400).json({ success: false, errors });
+  }
+
+  const sheets = types.map((type) => ({
+    name: type.charAt(0).toUpperCase() + type.slice(1),
+    columns: PRODUCT_COLUMNS,
+    rows: productRows(type, db.getAll(type)),
+  }));
+  await sendSpreadsheet(
+    res,
+    format,
+    `products-${today()}`,
+    format === "csv"
+      ? [{ ...sheets[0], rows: sheets.flatMap((sheet) => sheet.rows) }]
+      : sheets,
+  );
+});
+
+// Spreadsheets for the product import are read in memory
+const IMPORT_MAX_MB = parseFloat(process.env.IMPORT_MAX_MB) || 5;
+const importUpload = audit.keepAuditContext(
+  multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: IMPORT_MAX_MB * 1024 * 1024, files: 1 },
+  }).single("file"),
+);
+
+// Bulk create/update from a CSV or XLSX file (field "file"). With
+// ?dryRun=true every row is checked and the plan is returned without saving;
+// otherwise nothing is saved unless every row is valid.
+app.post("/api/products/import", importUpload, async (req, res) => {
+  if (!req.file) {
+    return res
+      .status(400)
+      .json({ success: false, errors: ["file is required"] });
+  }
+  const format = spreadsheetFormat(req.file.originalname, req.file.mimetype);
+  if (!format) {
+    return res.status(415).json({
+      success: false,
+      errors: ["file must be a .csv or .xlsx spreadsheet"],
+    });
+  }
+  const records = await readSpreadsheet(req.file.buffer, format);
+  if (!records) {
+    return res
+      .status(400)
+      .json({ success: false, errors: ["file is not a readable XLSX file"] });
+  }
+  const dryRun = String(req.query.dryRun || req.body.dryRun) === "true";
+  const result = importProducts(records, { dryRun });
+  const success = result.errors.length === 0;
+  res.status(success || dryRun ? 200 : 400).json({ success, ...result });
+});
+
+// Longest time axis a sales report will build
+const MAX_REPORT_PERIODS = 1000;
+
+// Sales figures (owner only): revenue, orders and average order value per
+// ?interval=day|week|month, best sellers, paid/unpaid, payment methods and
+// coupons, for orders created between ?from= and ?to=
+app.get("/api/reports/sales", (req, res) => {
+  const { errors, since, until } = parseDateRange(req.query);
+  const interval = String(req.query.interval || "day").toLowerCase();
+  if (!REPORT_INTERVALS.includes(interval)) {
+    errors.push(`interval must be one of: ${REPORT_INTERVALS.join(", ")}`);
+  }
+  const limit =
+    req.query.limit === undefined ? 10 : parseInt(req.query.limit, 10);
+  if (!(limit >= 1 && limit <= 100)) {
+    errors.push("limit must be between 1 and 100");
+  }
+  if (since && until && since > until) errors.push("from must be before to");
+  if (
+    errors.length === 0 &&
+    since &&
+    periodCount(since, until || new Date(), interval) > MAX_REPORT_PERIODS
+  ) {
+    errors.push(
+      `The range has more than ${MAX_REPORT_PERIODS} ${interval}s; use a longer interval`,
+    );
+  }
+  if (errors.length > 0) {
+    return res.status(400).json({ success: false, errors });
+  }
+
+  res.json(salesReport(db.getAll("orders"), { since, until, interval, limit }));
+});
+
 entities.forEach((entity) => {
+  // Trash (trash.js). Registered before /:identifier so "trash" is not read
+  // as an id or slug.
+  app.get(`/api/${entity}/trash`, (req, res) => {
+    sendQueryResult(
+      res,
+      trash.listTrash(entity),
+      req.query,
+      trash.TRASH_ENTITY,
+    );
+  });
+
+  // By trash entry id or the deleted record's id
+  app.post(`/api/${entity}/trash/:identifier/restore`, (req, res) => {
+    const entry = trash.findInTrash(entity, req.params.identifier);
+    if (!entry) return res.status(404).json({ message: "Not found" });
+
+    // An open order takes its units out of stock again
+    const reserves = entity === "orders" && entry.record.stockReserved;
+    if (reserves) {
+      const stockErrors = reserveStock(entry.record.items);
+      if (stockErrors.length > 0) {
+        return res.status(400).json({ success: false, errors: stockErrors });
+      }
+    }
+
+    const restored = trash.restoreFromTrash(entry);
+    if (!restored) {
+      if (reserves) releaseStock(entry.record.items);
+      return res.status(409).json({
+        success: false,
+        errors: ["Another record already uses this id"],
+      });
+    }
+    sendSaved(res, "Restored successfully", restored);
+  });
+
+  // Deletes for good, without waiting for the retention period
+  app.delete(`/api/${entity}/trash/:identifier`, (req, res) => {
+    const entry = trash.findInTrash(entity, req.params.identifier);
+    if (!entry) return res.status(404).json({ message: "Not found" });
+    trash.purge(entry);
+    res.json({ message: "Deleted permanently" });
+  });
+
   app.get(`/api/${entity}`, (req, res) => {
-    res.json(db.getAll(entity));
+    const records = db
+      .getAll(entity)
+      .filter((item) => isVisible(req, entity, item));
+    sendQueryResult(res, records, req.query, entity);
   });
 
   app.get(`/api/${entity}/:identifier`, (req, res) => {
     const item = db.getByIdOrSlug(entity, req.params.identifier);
-    if (!item) return res.status(404).json({ message: "Not found" });
-    res.json(item);
+    if (!item) {
+      // Slugs of renamed records redirect permanently to the current one
+      const renamed = db.getBySlugAlias(entity, req.params.identifier);
+      if (renamed && isVisible(req, entity, renamed)) {
+        const search = req.originalUrl.slice(req.path.length);
+        return res.redirect(
+          301,
+          `/api/${entity}/${encodeURIComponent(renamed.slug)}${search}`,
+        );
+      }
+      return res.status(404).json({ message: "Not found" });
+    }
+    if (!isVisible(req, entity, item)) {
+      return res.status(404).json({ message: "Not found" });
+    }
+    res.set("ETag", etagOf(item)).json(item);
   });
 
+  // Audit log entries for one record, newest first. Deleted records are
+  // looked up by id.
+  app.get(`/api/${entity}/:identifier/history`, (req, res) => {
+    const item = db.getByIdOrSlug(entity, req.params.identifier);
+    const history = audit.historyOf(
+      entity,
+      item ? item.id : req.params.identifier,
+    );
+    if (!item && history.length === 0) {
+      return res.status(404).json({ message: "Not found" });
+    }
+    res.json(history);
+  });
+
+  // Moves the record to the trash. Its images and blog revisions are
+  // removed when the trash entry is purged.
   app.delete(`/api/${entity}/:identifier`, (req, res) => {
-    const deletedItem = db.delete(entity, req.params.identifier);
-    if (!deletedItem) return res.status(404).json({ message: "Not found" });
-
-    // Physical deletion of images
-    if (deletedItem.images && Array.isArray(deletedItem.images)) {
-      deletedItem.images.forEach((img) => {
-        const imgPath = path.join(__dirname, "uploads", img);
-        if (fs.existsSync(imgPath)) {
-          try {
-            fs.unlinkSync(imgPath);
-            console.log(`Deleted file: ${imgPath}`);
-          } catch (err) {
-            console.error(`Error deleting file ${imgPath}:`, err);
-          }
-        }
-      });
+    const entry = trash.moveToTrash(
+      entity,
+      req.params.identifier,
+      req.auth.user.username,
+    );
+    if (!entry) return res.status(404).json({ message: "Not found" });
+
+    // Deleting an open order returns its units to stock
+    if (entity === "orders" && entry.record.stockReserved) {
+      releaseStock(entry.record.items);
     }
 
-    res.json({ message: "Deleted successfully" });
+    res.json({
+      message: "Moved to trash",
+      trashId: entry.id,
+      purgeAt: entry.purgeAt,
+    });
   });
 });
 
-// POST routes with optimization
-app.post("/api/beans", upload.array("images"), optimizeImages, (req, res) => {
-  const payload = {
-    ...req.body,
-    images: req.files.map((file) => file.filename),
+// Files multer stored for a request that is then rejected
+const discardUploads = (req) => {
+  const files = req.files || (req.file ? [req.file] : []);
+  files.forEach((file) => {
+    fs.unlink(file.path, (err) => {
+      if (err) console.error(`Error removing upload ${file.path}:`, err);
+    });
+  });
+};
+
+// Optimistic concurrency: every record has a version, sent as the ETag of
+// GET /api/:entity/:identifier. A PUT with a stale If-Match gets 409 and
+// the current record instead of silently overwriting someone else's save.
+const etagOf = (record) => `"${db.versionOf(record)}"`;
+
+const sendConflict = (res, current) =>
+  res
+    .status(409)
+    .set("ETag", etagOf(current))
+    .json({
+      success: false,
+      errors: ["This record was changed by someone else since you loaded it"],
+      current,
+    });
+
+// Runs before multer, so a stale edit is turned away before its images are
+// processed. The version is checked again when saving (req.expectedVersion).
+// Without If-Match (or with "*") the update is unconditional.
+const checkVersion = (entity) => (req, res, next) => {
+  const header = (req.headers["if-match"] || "").trim();
+  if (!header || header === "*") return next();
+  const current = db.getByIdOrSlug(entity, req.params.identifier);
+  if (!current) return next();
+
+  const match = header.match(/^(?:W\/)?"(\d+)"$/);
+  const expected = match ? Number(match[1]) : NaN;
+  if (expected !== db.versionOf(current)) return sendConflict(res, current);
+  req.expectedVersion = expected;
+  next();
+};
+
+// Sends a saved record with its ETag, so the client can keep editing
+const sendSaved = (res, message, record) =>
+  res.set("ETag", etagOf(record)).json({ message, payload: record });
+
+// Checks the body against the entity schema (schemas.js). Runs after multer
+// so multipart fields are parsed, and before images are optimized.
+const validateBody =
+  (entity, options = {}) =>
+  (req, res, next) => {
+    const errors = validateEntity(entity, req.body, options);
+    if (errors.length > 0) {
+      discardUploads(req);
+      return res.status(400).json({ success: false, errors });
+    }
+    next();
   };
-  const newItem = db.create("beans", payload);
-  res.json({ message: "Bean added successfully", payload: newItem });
+
+// Works out status/publishAt for a blog post (blogs.js) before its image is
+// processed; the result is merged into the saved record
+const resolveBlogPublishing = (req, res, next) => {
+  let existing;
+  if (req.params.identifier) {
+    existing = db.getByIdOrSlug("blogs", req.params.identifier);
+    if (!existing) {
+      discardUploads(req);
+      return res.status(404).json({ message: "Not found" });
+    }
+  }
+  const { errors, fields } = blogs.resolvePublishing(req.body, existing);
+  if (errors.length > 0) {
+    discardUploads(req);
+    return res.status(400).json({ success: false, errors });
+  }
+  req.publishing = fields;
+  next();
+};
+
+// Public feeds for the storefront and search engines (feeds.js)
+const requestOrigin = (req) => `${req.protocol}://${req.get("host")}`;
+
+app.get("/feed.xml", (req, res) => {
+  res.set("Cache-Control", "public, max-age=300");
+  res.type("application/rss+xml").send(buildFeed(requestOrigin(req)));
 });
 
-app.post("/api/blogs", upload.single("image"), optimizeImages, (req, res) => {
-  const payload = {
-    ...req.body,
-    images: req.file ? [req.file.filename] : [],
-  };
-  const newItem = db.create("blogs", payload);
-  res.json({ message: "Blog added successfully", payload: newItem });
+app.get("/sitemap.xml", (req, res) => {
+  res.set("Cache-Control", "public, max-age=300");
+  res.type("application/xml").send(buildSitemap(requestOrigin(req)));
+});
+
+app.get("/api/schemas", (req, res) => {
+  res.json(SCHEMAS);
 });
 
+app.get("/api/schemas/:entity", (req, res) => {
+  const schema = SCHEMAS[req.params.entity];
+  if (!schema) return res.status(404).json({ message: "No schema found" });
+  res.json(schema);
+});
+
+// POST routes with optimization
+app.post(
+  "/api/beans",
+  upload.array("images"),
+  validateBody("beans"),
+  optimizeImages,
+  (req, res) => {
+    const payload = {
+      ...req.body,
+      images: imageEntries(req.files),
+    };
+    const newItem = db.create("beans", payload);
+    res.json({ message: "Bean added successfully", payload: newItem });
+  },
+);
+
+app.post(
+  "/api/blogs",
+  upload.single("image"),
+  validateBody("blogs"),
+  resolveBlogPublishing,
+  optimizeImages,
+  (req, res) => {
+    const payload = {
+      ...req.body,
+      ...req.publishing,
+      images: imageEntries(req.file ? [req.file] : []),
+    };
+    const newItem = db.create("blogs", payload);
+    res.json({ message: "Blog added successfully", payload: newItem });
+  },
+);
+
 ["machines", "syrups", "sauces"].forEach((entity) => {
   app.post(
     `/api/${entity}`,
     upload.array("images"),
+    validateBody(entity),
     optimizeImages,
     (req, res) => {
       const payload = {
         ...req.body,
-        images: req.files.map((file) => file.filename),
+        images: imageEntries(req.files),
       };
       const newItem = db.create(entity, payload);
       res.json({ message: `${entity} added successfully`, payload: newItem });
@@ -262,38 +1023,7 @@ app.post("/api/blogs", upload.single("image"), optimizeImages, (req, res) => {
 });
 
 const validateOrder = (req, res, next) => {
-  const {
-    customerName,
-    phone,
-    address,
-    items,
-    totalAmount,
-    paymentMethod,
-    isPaid,
-  } = req.body;
-
-  const errors = [];
-  if (!customerName) errors.push("customerName is required");
-  if (!phone) errors.push("phone is required");
-  if (!address) errors.push("address is required");
-  if (!paymentMethod) errors.push("paymentMethod is required");
-  if (!totalAmount || isNaN(parseFloat(totalAmount)))
-    errors.push("totalAmount must be a valid number");
-
-  if (!items || !Array.isArray(items) || items.length === 0) {
-    errors.push("items must be a non-empty array");
-  } else {
-    items.forEach((item, index) => {
-      if (!item.productId) errors.push(`Item ${index}: productId is required`);
-      if (!item.productName)
-        errors.push(`Item ${index}: productName is required`);
-      if (!item.quantity || isNaN(parseInt(item.quantity)))
-        errors.push(`Item ${index}: quantity must be a valid number`);
-      if (!item.price || isNaN(parseFloat(item.price)))
-        errors.push(`Item ${index}: price must be a valid number`);
-    });
-  }
-
+  const errors = validateEntity("orders", req.body);
   if (errors.length > 0) {
     return res.status(400).json({ success: false, errors });
   }
@@ -307,20 +1037,214 @@ const validateOrder = (req, res, next) => {
   next();
 };
 
+// Allow 1 unit of rounding difference from the storefront's own maths
+const totalMismatch = (submitted, pricing) => {
+  const submittedTotal = parseFloat(submitted);
+  if (isNaN(submittedTotal)) return null;
+  if (Math.abs(submittedTotal - pricing.totalAmount) <= 1) return null;
+  return `totalAmount ${submittedTotal} does not match calculated total ${pricing.totalAmount}`;
+};
+
 app.post("/api/orders", validateOrder, (req, res) => {
-  const newItem = db.create("orders", req.body);
-  res.json({ message: "Order placed successfully", payload: newItem });
+  const order = { ...req.body };
+
+  // Prices always come from the catalog, never from the client
+  let pricing = priceOrder(order);
+  if (pricing.errors.length > 0) {
+    return res.status(400).json({ success: false, errors: pricing.errors });
+  }
+
+  // So does the delivery fee, once shipping zones are set up
+  if (shipping.hasZones()) {
+    const { errors, quote } = shipping.quoteShipping({
+      ...order,
+      items: pricing.items,
+      subtotal: pricing.subtotal,
+    });
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, errors });
+    }
+    order.deliveryFee = quote.deliveryFee;
+    order.shippingZone = quote.zone;
+  }
+
+  let couponDiscount = 0;
+  if (order.couponCode) {
+    const result = evaluateCoupon(order.couponCode, pricing.subtotal);
+    if (!result.valid) {
+      return res.status(400).json({ success: false, errors: [result.message] });
+    }
+    order.couponCode = result.coupon.code;
+    couponDiscount = result.discount;
+  }
+  pricing = priceOrder(order, couponDiscount);
+  delete pricing.errors;
+
+  const mismatch = totalMismatch(order.totalAmount, pricing);
+  if (mismatch) {
+    return res
+      .status(400)
+      .json({ success: false, errors: [mismatch], pricing });
+  }
+
+  // Stock and coupon are consumed in the same tick as the order is written
+  const stockErrors = reserveStock(pricing.items);
+  if (stockErrors.length > 0) {
+    return res.status(400).json({ success: false, errors: stockErrors });
+  }
+
+  if (order.couponCode) {
+    const result = redeemCoupon(order.couponCode, pricing.subtotal);
+    if (!result.valid) {
+      releaseStock(pricing.items);
+      return res.status(400).json({ success: false, errors: [result.message] });
+    }
+    order.couponDiscount = result.discount;
+  }
+
+  const newItem = db.create("orders", {
+    ...order,
+    items: pricing.items,
+    subtotal: pricing.subtotal,
+    deliveryFee: pricing.deliveryFee,
+    discountType: pricing.discountType,
+    extraDiscount: pricing.extraDiscount,
+    totalAmount: pricing.totalAmount,
+    stockReserved: true,
+    status: INITIAL_STATUS,
+    statusHistory: [historyEntry(null, INITIAL_STATUS, getActor(req))],
+  });
+  publish("order.created", { order: newItem, actor: getActor(req) });
+  res.json({ message: "Order placed successfully", payload: newItem, pricing });
 });
 
-app.post("/api/coupons", (req, res) => {
+// Coupon validation (public, used by the storefront checkout)
+app.post("/api/coupons/validate", (req, res) => {
+  const { code, items } = req.body || {};
+  if (!code) {
+    return res
+      .status(400)
+      .json({ success: false, errors: ["code is required"] });
+  }
+
+  // Cart items are priced from the catalog; a bare subtotal is taken as-is
+  let subtotal = parseFloat(req.body.subtotal) || 0;
+  if (Array.isArray(items) && items.length > 0) {
+    const priced = priceItems(items);
+    if (priced.errors.length > 0) {
+      return res.status(400).json({ success: false, errors: priced.errors });
+    }
+    subtotal = priced.subtotal;
+  }
+  const result = evaluateCoupon(code, subtotal);
+  if (!result.valid) {
+    return res.status(400).json({ success: false, errors: [result.message] });
+  }
+
+  res.json({
+    success: true,
+    code: result.coupon.code,
+    type: result.coupon.type,
+    value: result.coupon.value,
+    subtotal,
+    discount: result.discount,
+    total: subtotal - result.discount,
+  });
+});
+
+// Delivery fee for a cart (public, used by the storefront checkout). Like
+// coupon validation, cart items are priced from the catalog and a bare
+// subtotal is taken as-is (its weight is then 0).
+app.post("/api/shipping/quote", (req, res) => {
+  if (!shipping.hasZones()) {
+    return res
+      .status(404)
+      .json({ success: false, errors: ["No shipping zones are set up"] });
+  }
+
+  const body = req.body || {};
+  const { items, city, area, address, paymentMethod } = body;
+  let subtotal = parseFloat(body.subtotal) || 0;
+  let priced = [];
+  if (Array.isArray(items) && items.length > 0) {
+    const result = priceItems(items);
+    if (result.errors.length > 0) {
+      return res.status(400).json({ success: false, errors: result.errors });
+    }
+    subtotal = result.subtotal;
+    priced = result.items;
+  }
+
+  const { errors, quote } = shipping.quoteShipping({
+    items: priced,
+    subtotal,
+    city,
+    area,
+    address,
+    paymentMethod,
+  });
+  if (errors.length > 0) {
+    return res.status(400).json({ success: false, errors, quote });
+  }
+  res.json({ success: true, ...quote });
+});
+
+app.post("/api/shipping-zones", validateBody("shipping-zones"), (req, res) => {
+  const zone = shipping.zoneFields(req.body);
+  const errors = shipping.zoneErrors(zone);
+  if (errors.length > 0) {
+    return res.status(400).json({ success: false, errors });
+  }
+  const newItem = db.create("shipping-zones", zone);
+  res.json({ message: "Shipping zone created successfully", payload: newItem });
+});
+
+app.put(
+  "/api/shipping-zones/:identifier",
+  checkVersion("shipping-zones"),
+  validateBody("shipping-zones", { partial: true }),
+  (req, res) => {
+    const existing = db.getByIdOrSlug("shipping-zones", req.params.identifier);
+    if (!existing) return res.status(404).json({ message: "Not found" });
+
+    const updates = shipping.zoneFields(req.body, { partial: true });
+    const errors = shipping.zoneErrors(
+      { ...existing, ...updates },
+      existing.id,
+    );
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, errors });
+    }
+    const updatedItem = db.update("shipping-zones", existing.id, updates, {
+      expectedVersion: req.expectedVersion,
+    });
+    if (!updatedItem) return res.status(404).json({ message: "Not found" });
+    sendSaved(res, "Shipping zone updated successfully", updatedItem);
+  },
+);
+
+app.post("/api/coupons", validateBody("coupons"), (req, res) => {
   const newItem = db.create("coupons", req.body);
   res.json({ message: "Coupon created successfully", payload: newItem });
 });
 
+// `images` entries for the filenames an update ends up with: kept images
+// and new uploads carry their size variants, images picked from the media
+// library get those recorded for them
+const imageEntriesFor = (entity, identifier, images, files) => {
+  const existing = db.getByIdOrSlug(entity, identifier);
+  return toImageEntries(images, [
+    ...((existing && existing.images) || []),
+    ...imageEntries(files),
+  ]);
+};
+
 // PUT routes (Update)
 app.put(
   "/api/beans/:identifier",
+  checkVersion("beans"),
   upload.array("images"),
+  validateBody("beans", { partial: true }),
   optimizeImages,
   (req, res) => {
     const updates = { ...req.body };
@@ -342,33 +1266,83 @@ app.put(
       currentImages = [...currentImages, ...newImages];
     }
 
-    updates.images = currentImages;
+    updates.images = imageEntriesFor(
+      "beans",
+      req.params.identifier,
+      currentImages,
+      req.files,
+    );
 
-    const updatedItem = db.update("beans", req.params.identifier, updates);
+    const updatedItem = db.update("beans", req.params.identifier, updates, {
+      expectedVersion: req.expectedVersion,
+    });
     if (!updatedItem) return res.status(404).json({ message: "Not found" });
-    res.json({ message: "Updated successfully", payload: updatedItem });
+    sendSaved(res, "Updated successfully", updatedItem);
   },
 );
 
 app.put(
   "/api/blogs/:identifier",
+  checkVersion("blogs"),
   upload.single("image"),
+  validateBody("blogs", { partial: true }),
+  resolveBlogPublishing,
   optimizeImages,
   (req, res) => {
-    const updates = { ...req.body };
+    const updates = { ...req.body, ...req.publishing };
     if (req.file) {
-      updates.images = [req.file.filename];
+      updates.images = imageEntries([req.file]);
     }
-    const updatedItem = db.update("blogs", req.params.identifier, updates);
-    if (!updatedItem) return res.status(404).json({ message: "Not found" });
-    res.json({ message: "Updated successfully", payload: updatedItem });
+    const existing = db.getByIdOrSlug("blogs", req.params.identifier);
+    if (!existing) return res.status(404).json({ message: "Not found" });
+
+    // Saved after the update, which may still be refused as a conflict
+    const updatedItem = db.update("blogs", existing.id, updates, {
+      expectedVersion: req.expectedVersion,
+    });
+    blogs.saveRevision(existing, updates, getActor(req));
+    sendSaved(res, "Updated successfully", updatedItem);
   },
 );
 
+// Revision history: each save keeps the version it replaced
+app.get("/api/blogs/:identifier/revisions", (req, res) => {
+  const blog = db.getByIdOrSlug("blogs", req.params.identifier);
+  if (!blog) return res.status(404).json({ message: "Not found" });
+  res.json(blogs.listRevisions(blog.id));
+});
+
+// One revision with what restoring it would change on the current post
+app.get("/api/blogs/:identifier/revisions/:revisionId", (req, res) => {
+  const blog = db.getByIdOrSlug("blogs", req.params.identifier);
+  if (!blog) return res.status(404).json({ message: "Not found" });
+  const revision = blogs.getRevision(blog.id, req.params.revisionId);
+  if (!revision) return res.status(404).json({ message: "Revision not found" });
+  res.json({ ...revision, changes: blogs.diffRevision(revision, blog) });
+});
+
+// Restoring saves the current version as a revision first, so it can be
+// undone. Status and schedule are left as they are.
+app.post("/api/blogs/:identifier/revisions/:revisionId/restore", (req, res) => {
+  const blog = db.getByIdOrSlug("blogs", req.params.identifier);
+  if (!blog) return res.status(404).json({ message: "Not found" });
+  const revision = blogs.getRevision(blog.id, req.params.revisionId);
+  if (!revision) {
+    return res.status(404).json({ message: "Revision not found" });
+  }
+
+  const updates = blogs.restoreFields(revision);
+  blogs.saveRevision(blog, updates, getActor(req));
+  const updatedItem = db.update("blogs", blog.id, updates);
+  sendSaved(res, `Restored revision ${revision.number}`, updatedItem);
+});
+
 ["machines", "syrups", "sauces"].forEach((entity) => {
   app.put(
     `/api/${entity}/:identifier`,
+    checkVersion(entity),
     upload.array("images"),
+    validateBody(entity, { partial: true }),
     optimizeImages,
     (req, res) => {
       const updates = { ...req.body };
@@ -388,28 +1362,563 @@ app.put(
         currentImages = [...currentImages, ...newImages];
       }
 
-      updates.images = currentImages;
+      updates.images = imageEntriesFor(
+        entity,
+        req.params.identifier,
+        currentImages,
+        req.files,
+      );
 
-      const updatedItem = db.update(entity, req.params.identifier, updates);
+      const updatedItem = db.update(entity, req.params.identifier, updates, {
+        expectedVersion: req.expectedVersion,
+      });
       if (!updatedItem) return res.status(404).json({ message: "Not found" });
-      res.json({ message: "Updated successfully", payload: updatedItem });
+      sendSaved(res, "Updated successfully", updatedItem);
     },
   );
 });
 
-app.put("/api/orders/:identifier", (req, res) => {
-  const updatedItem = db.update("orders", req.params.identifier, req.body);
-  if (!updatedItem) return res.status(404).json({ message: "Order not found" });
-  res.json({ message: "Order updated successfully", payload: updatedItem });
+// Fields an order's amounts are computed from, or that hold those amounts
+const ORDER_PRICE_FIELDS = [
+  "items",
+  "subtotal",
+  "deliveryFee",
+  "discountType",
+  "extraDiscount",
+  "couponDiscount",
+  "totalAmount",
+];
+
+// What the delivery fee is quoted from, once shipping zones are set up
+const ORDER_SHIPPING_FIELDS = [
+  "items",
+  "deliveryFee",
+  "city",
+  "area",
+  "address",
+  "paymentMethod",
+];
+
+// Same products, variants and quantities, in the same order
+const sameLines = (a, b) =>
+  Array.isArray(a) &&
+  Array.isArray(b) &&
+  a.length === b.length &&
+  a.every(
+    (line, index) =>
+      line.productId === b[index].productId &&
+      (line.variant || "default") === (b[index].variant || "default") &&
+      (parseInt(line.quantity) || 0) === (parseInt(b[index].quantity) || 0),
+  );
+
+app.put(
+  "/api/orders/:identifier",
+  checkVersion("orders"),
+  validateBody("orders", { partial: true }),
+  (req, res) => {
+    const existing = db.getByIdOrSlug("orders", req.params.identifier);
+    if (!existing) return res.status(404).json({ message: "Order not found" });
+
+    // Status only changes through the transition endpoint below
+    const updates = { ...req.body };
+    if (updates.status !== undefined && updates.status !== existing.status) {
+      return res.status(400).json({
+        success: false,
+        errors: [
+          `Use POST /api/orders/${existing.id}/status to change the order status`,
+        ],
+      });
+    }
+    delete updates.status;
+    delete updates.statusHistory;
+    delete updates.stockReserved;
+    delete updates.shippingZone;
+
+    // The coupon was redeemed when the order was placed
+    if (
+      updates.couponCode !== undefined &&
+      normalizeCode(updates.couponCode) !== normalizeCode(existing.couponCode)
+    ) {
+      return res.status(400).json({
+        success: false,
+        errors: ["couponCode cannot be changed once the order is placed"],
+      });
+    }
+    delete updates.couponCode;
+
+    // Amounts are recomputed as on POST. Changed lines are repriced from the
+    // catalog; unchanged ones keep the prices the order was placed at.
+    let linesChanged = false;
+    const requote =
+      shipping.hasZones() &&
+      ORDER_SHIPPING_FIELDS.some((field) => updates[field] !== undefined);
+    if (
+      requote ||
+      ORDER_PRICE_FIELDS.some((field) => updates[field] !== undefined)
+    ) {
+      let lines = {
+        items: existing.items || [],
+        // Orders from before server-side pricing have no subtotal stored
+        subtotal:
+          parseFloat(existing.subtotal) ||
+          (existing.items || []).reduce(
+            (sum, line) => sum + (parseFloat(line.total) || 0),
+            0,
+          ),
+      };
+      if (
+        updates.items !== undefined &&
+        !sameLines(updates.items, existing.items)
+      ) {
+        const priced = priceItems(updates.items);
+        if (priced.errors.length > 0) {
+          return res
+            .status(400)
+            .json({ success: false, errors: priced.errors });
+        }
+        lines = priced;
+        linesChanged = true;
+      }
+
+      // With shipping zones the fee is quoted again, never taken as sent
+      if (requote) {
+        const { errors, quote } = shipping.quoteShipping({
+          ...existing,
+          ...updates,
+          items: lines.items,
+          subtotal: lines.subtotal,
+        });
+        if (errors.length > 0) {
+          return res.status(400).json({ success: false, errors });
+        }
+        updates.deliveryFee = quote.deliveryFee;
+        updates.shippingZone = quote.zone;
+      }
+
+      const pricing = {
+        items: lines.items,
+        subtotal: lines.subtotal,
+        ...orderTotals(
+          { ...existing, ...updates },
+          lines.subtotal,
+          parseFloat(existing.couponDiscount) || 0,
+        ),
+      };
+      const mismatch = totalMismatch(updates.totalAmount, pricing);
+      if (mismatch) {
+        return res
+          .status(400)
+          .json({ success: false, errors: [mismatch], pricing });
+      }
+
+      delete updates.couponDiscount;
+      Object.assign(updates, {
+        items: pricing.items,
+        subtotal: pricing.subtotal,
+        deliveryFee: pricing.deliveryFee,
+        discountType: pricing.discountType,
+        extraDiscount: pricing.extraDiscount,
+        totalAmount: pricing.totalAmount,
+      });
+    }
+
+    // An order holding stock gives back the units of its old lines and takes
+    // those of the new ones, in the same tick as the update is written
+    const restock = linesChanged && existing.stockReserved === true;
+    if (restock) {
+      releaseStock(existing.items);
+      const stockErrors = reserveStock(updates.items);
+      if (stockErrors.length > 0) {
+        reserveStock(existing.items);
+        return res.status(400).json({ success: false, errors: stockErrors });
+      }
+    }
+
+    const updatedItem = db.update("orders", existing.id, updates, {
+      expectedVersion: req.expectedVersion,
+    });
+    if (!updatedItem) {
+      if (restock) {
+        releaseStock(updates.items);
+        reserveStock(existing.items);
+      }
+      return res.status(404).json({ message: "Order not found" });
+    }
+    sendSaved(res, "Order updated successfully", updatedItem);
+  },
+);
+
+// Last 10 digits, so "+8801700000000" and "01700000000" compare equal
+const normalizePhone = (phone) =>
+  (phone || "").toString().replace(/\D/g, "").slice(-10);
+
+// Customer order tracking (public): needs the order id and the phone it was
+// placed with, and only returns what the customer already knows.
+app.post("/api/orders/track", (req, res) => {
+  const { orderId, phone } = req.body || {};
+  if (!orderId || !phone) {
+    return res
+      .status(400)
+      .json({ success: false, errors: ["orderId and phone are required"] });
+  }
+
+  const order = db.getAll("orders").find((o) => o.id === orderId);
+  const phoneDigits = normalizePhone(phone);
+  if (
+    !order ||
+    phoneDigits.length < 6 ||
+    normalizePhone(order.phone) !== phoneDigits
+  ) {
+    return res.status(404).json({ message: "Order not found" });
+  }
+
+  res.json({
+    id: order.id,
+    status: order.status,
+    statusHistory: (order.statusHistory || []).map(({ to, changedAt }) => ({
+      status: to,
+      changedAt,
+    })),
+    createdAt: order.createdAt,
+    items: (order.items || []).map(
+      ({ productName, variant, quantity, price, total }) => ({
+        productName,
+        variant,
+        quantity,
+        price,
+        total,
+      }),
+    ),
+    subtotal: order.subtotal,
+    deliveryFee: order.deliveryFee,
+    couponDiscount: order.couponDiscount,
+    totalAmount: order.totalAmount,
+    isPaid: order.isPaid,
+  });
+});
+
+// Order lifecycle
+app.get("/api/order-statuses", (req, res) => {
+  res.json(ORDER_STATUSES);
+});
+
+app.post("/api/orders/:identifier/status", (req, res) => {
+  const order = db.getByIdOrSlug("orders", req.params.identifier);
+  if (!order) return res.status(404).json({ message: "Order not found" });
+
+  const { status, note } = req.body || {};
+  if (!status) {
+    return res
+      .status(400)
+      .json({ success: false, errors: ["status is required"] });
+  }
+  if (!isValidStatus(status)) {
+    return res.status(400).json({
+      success: false,
+      errors: [
+        `status must be one of: ${ORDER_STATUSES.map((s) => s.status).join(", ")}`,
+      ],
+    });
+  }
+  if (!canTransition(order.status, status)) {
+    return res.status(400).json({
+      success: false,
+      errors: [`Cannot change status from ${order.status} to ${status}`],
+    });
+  }
+
+  const entry = historyEntry(order.status, status, getActor(req), note);
+  const updates = {
+    status,
+    statusUpdatedAt: entry.changedAt,
+    statusHistory: [...(order.statusHistory || []), entry],
+  };
+
+  // Cancelling returns the order's units to stock
+  if (status === "Cancelled" && order.stockReserved) {
+    releaseStock(order.items);
+    updates.stockReserved = false;
+  }
+
+  const updatedItem = db.update("orders", order.id, updates);
+  publish("order.status_changed", {
+    order: updatedItem,
+    from: order.status,
+    to: status,
+    note: entry.note,
+    actor: entry.changedBy,
+  });
+  sendSaved(res, `Order marked as ${status}`, updatedItem);
+});
+
+// Printable invoices and packing slips (invoices.js), shown inline so the
+// browser opens its PDF viewer. `filename` is called once the invoice
+// numbers have been issued.
+const sendOrderDocuments = async (req, res, type, orders, filename) => {
+  const errors = documentErrors(type, orders);
+  if (errors.length > 0) {
+    return res.status(400).json({ success: false, errors });
+  }
+  const pdf = await renderOrderDocuments(type, orders, getActor(req));
+  res.set({
+    "Content-Type": "application/pdf",
+    "Content-Disposition": `inline; filename="${filename()}.pdf"`,
+  });
+  res.send(pdf);
+};
+
+app.get("/api/orders/:identifier/invoice", async (req, res) => {
+  const order = db.getByIdOrSlug("orders", req.params.identifier);
+  if (!order) return res.status(404).json({ message: "Order not found" });
+  await sendOrderDocuments(
+    req,
+    res,
+    "invoice",
+    [order],
+    () => `invoice-${findInvoice(order.id).invoiceNumber}`,
+  );
+});
+
+app.get("/api/orders/:identifier/packing-slip", async (req, res) => {
+  const order = db.getByIdOrSlug("orders", req.params.identifier);
+  if (!order) return res.status(404).json({ message: "Order not found" });
+  await sendOrderDocuments(
+    req,
+    res,
+    "packing-slip",
+    [order],
+    () => `packing-slip-${order.id}`,
+  );
+});
+
+const MAX_BATCH_DOCUMENTS = 200;
+
+// One PDF for the orders selected in the admin list, in the given order:
+// { "type": "invoice" | "packing-slip", "ids": ["A1b2C3d4", ...] }
+app.post("/api/orders/documents", async (req, res) => {
+  const { type, ids } = req.body || {};
+  const errors = [];
+  if (!DOCUMENT_TYPES.includes(type)) {
+    errors.push(`type must be one of: ${DOCUMENT_TYPES.join(", ")}`);
+  }
+  if (!Array.isArray(ids) || ids.length === 0) {
+    errors.push("ids must be a non-empty array of order ids");
+  } else if (ids.length > MAX_BATCH_DOCUMENTS) {
+    errors.push(`At most ${MAX_BATCH_DOCUMENTS} orders can be printed at once`);
+  }
+  if (errors.length > 0) {
+    return res.status(400).json({ success: false, errors });
+  }
+
+  const uniqueIds = [...new Set(ids.map(String))];
+  const orders = uniqueIds.map((id) => db.getByIdOrSlug("orders", id));
+  const missing = uniqueIds.filter((id, index) => !orders[index]);
+  if (missing.length > 0) {
+    return res.status(400).json({
+      success: false,
+      errors: missing.map((id) => `Order ${id} not found`),
+    });
+  }
+  await sendOrderDocuments(
+    req,
+    res,
+    type,
+    orders,
+    () => `${type === "invoice" ? "invoices" : "packing-slips"}-${today()}`,
+  );
 });
 
-app.put("/api/coupons/:identifier", (req, res) => {
-  const updatedItem = db.update("coupons", req.params.identifier, req.body);
-  if (!updatedItem)
-    return res.status(404).json({ message: "Coupon not found" });
-  res.json({ message: "Coupon updated successfully", payload: updatedItem });
+// Notifications (notifications.js): message templates, delivery log and
+// outbound webhooks
+app.get("/api/notifications/templates", (req, res) => {
+  res.json({
+    channels: notifications.channelStatus(),
+    templates: notifications.getTemplates(),
+  });
 });
 
+app.put("/api/notifications/templates/:key", (req, res) => {
+  if (!notifications.getTemplate(req.params.key)) {
+    return res.status(404).json({ message: "Template not found" });
+  }
+  const { subject, body } = req.body || {};
+  const errors = [];
+  if (body !== undefined && !String(body).trim()) {
+    errors.push("body cannot be empty");
+  }
+  if (subject !== undefined && String(subject).length > 300) {
+    errors.push("subject must be at most 300 characters");
+  }
+  if (errors.length > 0) {
+    return res.status(400).json({ success: false, errors });
+  }
+  res.json({
+    message: "Template saved",
+    payload: notifications.saveTemplate(req.params.key, req.body),
+  });
+});
+
+// Drops the saved edits and goes back to the built-in text
+app.delete("/api/notifications/templates/:key", (req, res) => {
+  if (!notifications.getTemplate(req.params.key)) {
+    return res.status(404).json({ message: "Template not found" });
+  }
+  res.json({
+    message: "Template reset to default",
+    payload: notifications.resetTemplate(req.params.key),
+  });
+});
+
+// Renders the sent (or saved) text against an order, or a sample order
+app.post("/api/notifications/templates/:key/preview", (req, res) => {
+  const template = notifications.getTemplate(req.params.key);
+  if (!template) return res.status(404).json({ message: "Template not found" });
+  const { subject, body, orderId } = req.body || {};
+  let order;
+  if (orderId) {
+    order = db.getByIdOrSlug("orders", orderId);
+    if (!order) return res.status(404).json({ message: "Order not found" });
+  }
+  res.json(
+    notifications.previewTemplate(
+      {
+        subject: subject !== undefined ? subject : template.subject,
+        body: body !== undefined ? body : template.body,
+      },
+      order,
+    ),
+  );
+});
+
+app.get("/api/notifications", (req, res) => {
+  sendQueryResult(res, db.getAll("notifications"), req.query, "notifications");
+});
+
+app.post("/api/notifications/:identifier/retry", async (req, res) => {
+  const entry = await notifications.retryNotification(req.params.identifier);
+  if (!entry) return res.status(404).json({ message: "Not found" });
+  res.json({ message: `Delivery ${entry.status}`, payload: entry });
+});
+
+app.get("/api/webhooks", (req, res) => {
+  sendQueryResult(res, db.getAll("webhooks"), req.query, "webhooks");
+});
+
+app.post("/api/webhooks", validateBody("webhooks"), (req, res) => {
+  const { url, events, description, isActive } = req.body;
+  const webhook = db.create("webhooks", {
+    url,
+    events: toList(events),
+    description: description || "",
+    isActive:
+      isActive === undefined || isActive === true || isActive === "true",
+    secret: notifications.generateSecret(),
+    createdAt: new Date().toISOString(),
+  });
+  res.json({ message: "Webhook added", payload: webhook });
+});
+
+app.put(
+  "/api/webhooks/:identifier",
+  checkVersion("webhooks"),
+  validateBody("webhooks", { partial: true }),
+  (req, res) => {
+    const body = req.body || {};
+    const updates = {};
+    ["url", "description"].forEach((field) => {
+      if (body[field] !== undefined) updates[field] = body[field];
+    });
+    if (body.events !== undefined) updates.events = toList(body.events);
+    if (body.isActive !== undefined) {
+      updates.isActive = body.isActive === true || body.isActive === "true";
+    }
+    // A new secret invalidates the old one immediately
+    if (body.rotateSecret === true || body.rotateSecret === "true") {
+      updates.secret = notifications.generateSecret();
+    }
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({
+        success: false,
+        errors: [
+          "Send at least one of url, description, events, isActive or rotateSecret",
+        ],
+      });
+    }
+    const webhook = db.update("webhooks", req.params.identifier, updates, {
+      expectedVersion: req.expectedVersion,
+    });
+    if (!webhook) return res.status(404).json({ message: "Not found" });
+    sendSaved(res, "Webhook updated", webhook);
+  },
+);
+
+app.delete("/api/webhooks/:identifier", (req, res) => {
+  const webhook = db.delete("webhooks", req.params.identifier);
+  if (!webhook) return res.status(404).json({ message: "Not found" });
+  res.json({ message: "Deleted successfully" });
+});
+
+// Sends a "ping" event so the receiving end can check its signature code
+app.post("/api/webhooks/:identifier/test", (req, res) => {
+  const webhook = db.getByIdOrSlug("webhooks", req.params.identifier);
+  if (!webhook) return res.status(404).json({ message: "Not found" });
+  res.json({
+    message: "Test delivery queued",
+    payload: notifications.pingWebhook(webhook),
+  });
+});
+
+app.put(
+  "/api/coupons/:identifier",
+  checkVersion("coupons"),
+  validateBody("coupons", { partial: true }),
+  (req, res) => {
+    const updatedItem = db.update("coupons", req.params.identifier, req.body, {
+      expectedVersion: req.expectedVersion,
+    });
+    if (!updatedItem)
+      return res.status(404).json({ message: "Coupon not found" });
+    sendSaved(res, "Coupon updated successfully", updatedItem);
+  },
+);
+
+// Errors thrown by handlers (e.g. a corrupt data file) become JSON 500s
+app.use((err, req, res, next) => {
+  // Upload limits (multer removes the partial files itself)
+  if (err instanceof multer.MulterError) {
+    const status =
+      err.code === "LIMIT_FILE_SIZE" || err.code === "LIMIT_FILE_COUNT"
+        ? 413
+        : 400;
+    return res.status(status).json({ success: false, errors: [err.message] });
+  }
+
+  // Someone else saved while this request's images were being processed
+  if (err instanceof db.VersionConflictError) {
+    const files = req.files || (req.file ? [req.file] : []);
+    files.forEach((file) => removeMedia(file.filename, file.variants));
+    return sendConflict(res, err.current);
+  }
+
+  // Server faults are only detailed in the log
+  console.error(`${req.method} ${req.url} failed:`, err);
+  const status = err.status || 500;
+  res.status(status).json({
+    message: status >= 500 ? "Internal server error" : err.message,
+  });
+});
+
+auth.seedOwner();
+const repairedSlugs = db.repairSlugs();
+if (repairedSlugs > 0)
+  console.log(`Repaired slugs on ${repairedSlugs} record(s)`);
+startMediaCleanup();
+blogs.startBlogScheduler();
+notifications.startNotifications();
+changeFeed.startChangeFeed();
+audit.startAuditLog();
+trash.startTrashPurge();
+
 const PORT = process.env.PORT || 5000;
 const server = app.listen(PORT, () => {
   console.log(`[${new Date().toISOString()}] Server running on port ${PORT}`);
@@ -420,6 +1929,7 @@ const gracefulShutdown = () => {
   console.log(
     `[${new Date().toISOString()}] Received shutdown signal. Closing server...`,
   );
+  changeFeed.closeStreams();
   server.close(() => {
     console.log("Server closed.");
     process.exit(0);
@@ -0,0 +1,106 @@
+const db = require("./db");
+const { findProduct } = require("./pricing");
+
+const hasVariants = (product) =>
+  Array.isArray(product.variants) && product.variants.length > 0;
+
+// Index of the variant an order line refers to ("default" is the first one)
+const variantIndex = (product, variantName) => {
+  if (!variantName || variantName === "default") return 0;
+  return product.variants.findIndex(
+    (v) => v.size === variantName || v.name === variantName,
+  );
+};
+
+const describe = (product, item) =>
+  hasVariants(product) ? `${product.name} (${item.variant})` : product.name;
+
+// Applies a signed quantity change to every tracked product in `items`.
+// Lines for deleted products/variants or untracked stock are skipped.
+const adjustStock = (items, direction) => {
+  const touched = new Map();
+
+  (items || []).forEach((item) => {
+    const match = findProduct(item.productId);
+    if (!match) return;
+
+    const key = `${match.entity}:${match.product.id}`;
+    if (!touched.has(key)) touched.set(key, match);
+    const { product } = touched.get(key);
+    const quantity = (parseInt(item.quantity) || 0) * direction;
+
+    if (hasVariants(product)) {
+      const index = variantIndex(product, item.variant);
+      const variant = product.variants[index];
+      if (index === -1 || variant.stock === undefined) return;
+      product.variants = product.variants.map((v, i) =>
+        i === index ? { ...v, stock: Math.max(0, v.stock + quantity) } : v,
+      );
+    } else if (product.stock !== undefined) {
+      product.stock = Math.max(0, product.stock + quantity);
+    }
+  });
+
+  touched.forEach(({ entity, product }) => {
+    db.update(
+      entity,
+      product.id,
+      hasVariants(product)
+        ? { variants: product.variants }
+        : { stock: product.stock },
+    );
+  });
+};
+
+// Checks that every line can be fulfilled, counting repeated lines for the
+// same product/variant together. Returns per-item errors.
+const checkStock = (items) => {
+  const errors = [];
+  const requested = new Map();
+
+  (items || []).forEach((item, index) => {
+    const match = findProduct(item.productId);
+    if (!match) return;
+    const { product } = match;
+
+    let available;
+    let key = product.id;
+    if (hasVariants(product)) {
+      const variantIdx = variantIndex(product, item.variant);
+      if (variantIdx === -1) return;
+      available = product.variants[variantIdx].stock;
+      key = `${product.id}:${variantIdx}`;
+    } else {
+      available = product.stock;
+    }
+    if (available === undefined) return;
+
+    const quantity = (requested.get(key) || 0) + (parseInt(item.quantity) || 0);
+    requested.set(key, quantity);
+
+    if (quantity > available) {
+      errors.push(
+        available === 0
+          ? `Item ${index}: ${describe(product, item)} is out of stock`
+          : `Item ${index}: only ${available} of ${describe(product, item)} left in stock, ${quantity} requested`,
+      );
+    }
+  });
+
+  return errors;
+};
+
+// Checks and decrements stock in one synchronous step
+const reserveStock = (items) => {
+  const errors = checkStock(items);
+  if (errors.length === 0) adjustStock(items, -1);
+  return errors;
+};
+
+const releaseStock = (items) => adjustStock(items, 1);
+
+module.exports = {
+  checkStock,
+  reserveStock,
+  releaseStock,
+};
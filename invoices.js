@@ -0,0 +1,492 @@
+// Printable order documents: invoices and packing slips as A4 PDFs, one
+// order per page, so several orders can be printed as one file. An order
+// gets its invoice number the first time its invoice is printed. Numbers
+// come from the "invoices" register, so they stay sequential and are never
+// handed out twice, even after the order is deleted.
+const path = require("path");
+const PDFDocument = require("pdfkit");
+const sharp = require("sharp");
+const db = require("./db");
+const { toAmount, lineTotal } = require("./money");
+
+const INVOICE_ENTITY = "invoices";
+const DOCUMENT_TYPES = ["invoice", "packing-slip"];
+
+const INVOICE_PREFIX = process.env.INVOICE_PREFIX || "INV-";
+const INVOICE_NUMBER_START = parseInt(process.env.INVOICE_NUMBER_START) || 1;
+// Same shop name as the notifications
+const SHOP_NAME = process.env.NOTIFY_SHOP_NAME || "Coffee Lab BD";
+// Address, phone, etc. under the shop name, one line per "|"
+const SHOP_DETAILS = (process.env.INVOICE_SHOP_DETAILS || "")
+  .split("|")
+  .map((line) => line.trim())
+  .filter(Boolean);
+// The built-in PDF fonts only cover Latin text. A TTF/OTF font with Bengali
+// glyphs prints Bengali names and addresses.
+const FONT = process.env.PDF_FONT;
+const BOLD_FONT = process.env.PDF_FONT_BOLD || FONT;
+
+// Orders that are not invoiced unless they already were
+const uninvoicedStatuses = ["Cancelled"];
+
+const LOGO_PATH = path.join(__dirname, "public", "logo.png");
+
+const colors = {
+  primary: "#483628",
+  text: "#333333",
+  muted: "#888888",
+  line: "#E5E5E5",
+  shade: "#F5F3F1",
+  green: "#7CA17C",
+  red: "#CC7070",
+};
+
+const PAGE_LEFT = 50;
+const PAGE_WIDTH = 495; // A4 minus the margins
+
+// The logo is 2048px; it is scaled down once so each PDF stays small
+let logoPromise;
+const loadLogo = () => {
+  if (!logoPromise) {
+    logoPromise = sharp(LOGO_PATH)
+      .resize({ width: 240 })
+      .png()
+      .toBuffer()
+      .catch((err) => {
+        console.error("Failed to load the logo for PDFs:", err.message);
+        return null;
+      });
+  }
+  return logoPromise;
+};
+
+const formatInvoiceNumber = (number) =>
+  `${INVOICE_PREFIX}${String(number).padStart(6, "0")}`;
+
+const findInvoice = (orderId) =>
+  db.getAll(INVOICE_ENTITY).find((entry) => entry.orderId === orderId);
+
+// The order's register entry, handing out the next number if it has none
+const issueInvoice = (order, issuedBy) =>
+  db.transaction(INVOICE_ENTITY, () => {
+    const existing = findInvoice(order.id);
+    if (existing) return existing;
+
+    const number =
+      db
+        .getAll(INVOICE_ENTITY)
+        .reduce(
+          (max, entry) => Math.max(max, entry.number),
+          INVOICE_NUMBER_START - 1,
+        ) + 1;
+    return db.create(INVOICE_ENTITY, {
+      number,
+      invoiceNumber: formatInvoiceNumber(number),
+      orderId: order.id,
+      issuedAt: new Date().toISOString(),
+      issuedBy,
+    });
+  });
+
+// Reasons the orders cannot be printed as `type`; empty when they can
+const documentErrors = (type, orders) =>
+  type !== "invoice"
+    ? []
+    : orders
+        .filter(
+          (order) =>
+            uninvoicedStatuses.includes(order.status) && !findInvoice(order.id),
+        )
+        .map(
+          (order) => `Order ${order.id} is ${order.status} and has no invoice`,
+        );
+
+const formatMoney = (value) =>
+  `Tk ${toAmount(value).toLocaleString("en-US", {
+    maximumFractionDigits: 2,
+  })}`;
+
+const formatDate = (value) =>
+  value
+    ? new Date(value).toLocaleDateString("en-GB", {
+        day: "numeric",
+        month: "short",
+        year: "numeric",
+      })
+    : "";
+
+const itemsOf = (order) => (Array.isArray(order.items) ? order.items : []);
+
+// The order's price breakdown as saved, filled in for older orders
+const amountsOf = (order) => {
+  const subtotal =
+    order.subtotal !== undefined
+      ? toAmount(order.subtotal)
+      : itemsOf(order).reduce((sum, item) => sum + lineTotal(item), 0);
+  const extraDiscount = toAmount(order.extraDiscount);
+  const percent = ["percent", "percentage"].includes(order.discountType);
+  return {
+    subtotal,
+    discountLabel: percent ? `Discount (${extraDiscount}%)` : "Discount",
+    discount: percent ? (subtotal * extraDiscount) / 100 : extraDiscount,
+    couponDiscount: toAmount(order.couponDiscount),
+    deliveryFee: toAmount(order.deliveryFee),
+    totalAmount: toAmount(order.totalAmount),
+  };
+};
+
+// Shop logo and name on the left, document title and references on the right.
+// Returns the y below it.
+const drawHeader = (doc, logo, title, references) => {
+  const top = 50;
+  let textLeft = PAGE_LEFT;
+  if (logo) {
+    doc.image(logo, PAGE_LEFT, top, { width: 56 });
+    textLeft += 68;
+  }
+  doc
+    .font("bold")
+    .fontSize(16)
+    .fillColor(colors.primary)
+    .text(SHOP_NAME, textLeft, top + 4, { width: 250 });
+  doc.font("body").fontSize(9).fillColor(colors.muted);
+  SHOP_DETAILS.forEach((line) =>
+    doc.text(line, textLeft, doc.y, { width: 250 }),
+  );
+
+  doc
+    .font("bold")
+    .fontSize(20)
+    .fillColor(colors.primary)
+    .text(title, 300, top, { width: 245, align: "right" });
+  doc.moveDown(0.3).font("body").fontSize(9).fillColor(colors.text);
+  references
+    .filter(([, value]) => value)
+    .forEach(([label, value]) =>
+      doc.text(`${label}: ${value}`, 300, doc.y, {
+        width: 245,
+        align: "right",
+      }),
+    );
+
+  const y = Math.max(doc.y, top + 70) + 16;
+  doc
+    .moveTo(PAGE_LEFT, y)
+    .lineTo(PAGE_LEFT + PAGE_WIDTH, y)
+    .lineWidth(1)
+    .strokeColor(colors.line)
+    .stroke();
+  return y + 16;
+};
+
+const drawCustomer = (doc, label, order, y) => {
+  doc
+    .font("bold")
+    .fontSize(8)
+    .fillColor(colors.muted)
+    .text(label.toUpperCase(), PAGE_LEFT, y);
+  doc
+    .moveDown(0.3)
+    .font("bold")
+    .fontSize(11)
+    .fillColor(colors.text)
+    .text(order.customerName || "", { width: 280 });
+  doc.font("body").fontSize(9);
+  [order.phone, order.email, order.address]
+    .filter(Boolean)
+    .forEach((line) => doc.text(line, { width: 280 }));
+  return doc.y;
+};
+
+// columns: [{ header, key, width, align, checkbox }]. Starts a new page,
+// headed by `continued`, when the rows run past the bottom margin. Returns
+// the y below the table.
+const drawTable = (doc, columns, rows, y, continued) => {
+  const rowHeight = 20;
+  const drawRow = (cells, top, { bold = false, shaded = false } = {}) => {
+    if (shaded) {
+      doc.rect(PAGE_LEFT, top, PAGE_WIDTH, rowHeight).fill(colors.shade);
+    }
+    let x = PAGE_LEFT;
+    doc
+      .font(bold ? "bold" : "body")
+      .fontSize(bold ? 8 : 9)
+      .fillColor(bold ? colors.primary : colors.text);
+    columns.forEach((column, index) => {
+      if (column.checkbox && !bold) {
+        doc
+          .rect(x + 8, top + 5, 10, 10)
+          .lineWidth(0.8)
+          .strokeColor(colors.muted)
+          .stroke();
+        x += column.width;
+        return;
+      }
+      doc.text(String(cells[index] ?? ""), x + 6, top + 6, {
+        width: column.width - 12,
+        align: column.align || "left",
+        // One line per row; longer names are cut short with "…"
+        height: 10,
+        ellipsis: true,
+      });
+      x += column.width;
+    });
+    doc
+      .moveTo(PAGE_LEFT, top + rowHeight)
+      .lineTo(PAGE_LEFT + PAGE_WIDTH, top + rowHeight)
+      .lineWidth(0.5)
+      .strokeColor(colors.line)
+      .stroke();
+  };
+  const header = () =>
+    drawRow(
+      columns.map((column) => column.header.toUpperCase()),
+      y,
+      { bold: true, shaded: true },
+    );
+
+  header();
+  y += rowHeight;
+  rows.forEach((row) => {
+    if (y + rowHeight > doc.page.height - 120) {
+      doc.addPage();
+      doc
+        .font("body")
+        .fontSize(9)
+        .fillColor(colors.muted)
+        .text(continued, PAGE_LEFT, 50);
+      y = 70;
+      header();
+      y += rowHeight;
+    }
+    drawRow(
+      columns.map((column) => row[column.key]),
+      y,
+    );
+    y += rowHeight;
+  });
+  return y;
+};
+
+const variantLabel = (item) =>
+  item.variant && item.variant !== "default" ? item.variant : "-";
+
+const drawInvoice = (doc, logo, order, invoice) => {
+  let y = drawHeader(doc, logo, "INVOICE", [
+    ["Invoice No", invoice.invoiceNumber],
+    ["Invoice Date", formatDate(invoice.issuedAt)],
+    ["Order", order.id],
+    ["Order Date", formatDate(order.createdAt)],
+  ]);
+  y = drawCustomer(doc, "Bill to", order, y) + 20;
+
+  y = drawTable(
+    doc,
+    [
+      { header: "Item", key: "name", width: 205 },
+      { header: "Variant", key: "variant", width: 90 },
+      { header: "Qty", key: "quantity", width: 50, align: "right" },
+      { header: "Unit Price", key: "price", width: 75, align: "right" },
+      { header: "Total", key: "total", width: 75, align: "right" },
+    ],
+    itemsOf(order).map((item) => ({
+      name: item.productName || item.productId,
+      variant: variantLabel(item),
+      quantity: parseInt(item.quantity) || 0,
+      price: formatMoney(item.price),
+      total: formatMoney(lineTotal(item)),
+    })),
+    y,
+    `${invoice.invoiceNumber} (continued)`,
+  );
+
+  const amounts = amountsOf(order);
+  const lines = [["Subtotal", formatMoney(amounts.subtotal)]];
+  if (amounts.discount > 0) {
+    lines.push([amounts.discountLabel, `- ${formatMoney(amounts.discount)}`]);
+  }
+  if (amounts.couponDiscount > 0) {
+    lines.push([
+      `Coupon${order.couponCode ? ` (${order.couponCode})` : ""}`,
+      `- ${formatMoney(amounts.couponDiscount)}`,
+    ]);
+  }
+  lines.push(["Delivery Fee", formatMoney(amounts.deliveryFee)]);
+
+  // Totals on the right, payment on the left, kept together on one page
+  y += 12;
+  if (y + 40 + lines.length * 16 > doc.page.height - 100) {
+    doc.addPage();
+    y = 50;
+  }
+  const totalsTop = y;
+  doc.font("body").fontSize(9).fillColor(colors.text);
+  lines.forEach(([label, value]) => {
+    doc.text(label, 320, y, { width: 120 });
+    doc.text(value, 440, y, { width: 99, align: "right" });
+    y += 16;
+  });
+  doc
+    .moveTo(320, y)
+    .lineTo(PAGE_LEFT + PAGE_WIDTH, y)
+    .lineWidth(0.5)
+    .strokeColor(colors.line)
+    .stroke();
+  y += 8;
+  doc.font("bold").fontSize(12).fillColor(colors.primary);
+  doc.text("Total", 320, y, { width: 120 });
+  doc.text(formatMoney(amounts.totalAmount), 420, y, {
+    width: 119,
+    align: "right",
+  });
+
+  doc
+    .font("bold")
+    .fontSize(8)
+    .fillColor(colors.muted)
+    .text("PAYMENT", PAGE_LEFT, totalsTop);
+  doc
+    .moveDown(0.3)
+    .font("body")
+    .fontSize(10)
+    .fillColor(colors.text)
+    .text(order.paymentMethod || "Not specified", { width: 220 });
+  const stampY = doc.y + 8;
+  const paid = !!order.isPaid;
+  doc
+    .roundedRect(PAGE_LEFT, stampY, 70, 22, 4)
+    .lineWidth(1.5)
+    .strokeColor(paid ? colors.green : colors.red)
+    .stroke();
+  doc
+    .font("bold")
+    .fontSize(10)
+    .fillColor(paid ? colors.green : colors.red)
+    .text(paid ? "PAID" : "UNPAID", PAGE_LEFT, stampY + 6, {
+      width: 70,
+      align: "center",
+    });
+
+  doc
+    .font("body")
+    .fontSize(9)
+    .fillColor(colors.muted)
+    .text(
+      `Thank you for shopping with ${SHOP_NAME}.`,
+      PAGE_LEFT,
+      doc.page.height - 90,
+      {
+        width: PAGE_WIDTH,
+        align: "center",
+      },
+    );
+};
+
+const drawPackingSlip = (doc, logo, order) => {
+  let y = drawHeader(doc, logo, "PACKING SLIP", [
+    ["Order", order.id],
+    ["Order Date", formatDate(order.createdAt)],
+    ["Status", order.status || ""],
+  ]);
+  y = drawCustomer(doc, "Ship to", order, y);
+  if (order.deliveryNote) {
+    doc
+      .moveDown(0.6)
+      .font("bold")
+      .fontSize(8)
+      .fillColor(colors.muted)
+      .text("DELIVERY NOTE");
+    doc
+      .moveDown(0.2)
+      .font("body")
+      .fontSize(9)
+      .fillColor(colors.text)
+      .text(order.deliveryNote, { width: 400 });
+    y = doc.y;
+  }
+
+  const items = itemsOf(order);
+  y = drawTable(
+    doc,
+    [
+      { header: "Packed", key: "check", width: 55, checkbox: true },
+      { header: "Item", key: "name", width: 260 },
+      { header: "Variant", key: "variant", width: 110 },
+      { header: "Qty", key: "quantity", width: 70, align: "right" },
+    ],
+    items.map((item) => ({
+      name: item.productName || item.productId,
+      variant: variantLabel(item),
+      quantity: parseInt(item.quantity) || 0,
+    })),
+    y + 20,
+    `Order ${order.id} (continued)`,
+  );
+
+  const units = items.reduce(
+    (sum, item) => sum + (parseInt(item.quantity) || 0),
+    0,
+  );
+  doc
+    .font("bold")
+    .fontSize(10)
+    .fillColor(colors.text)
+    .text(`${units} item(s)`, PAGE_LEFT, y + 12, {
+      width: PAGE_WIDTH,
+      align: "right",
+    });
+  // What the courier collects on delivery
+  if (!order.isPaid) {
+    doc
+      .fillColor(colors.primary)
+      .text(`Amount to collect: ${formatMoney(order.totalAmount)}`, {
+        width: PAGE_WIDTH,
+        align: "right",
+      });
+  }
+};
+
+// Invoice numbers are issued (once per order) as the invoices are drawn.
+// Resolves to the PDF as a Buffer.
+const renderOrderDocuments = async (type, orders, issuedBy) => {
+  const logoBuffer = await loadLogo();
+  const doc = new PDFDocument({
+    size: "A4",
+    margin: 50,
+    autoFirstPage: false,
+    info: {
+      Title: `${SHOP_NAME} ${type === "invoice" ? "invoice" : "packing slip"}`,
+      Author: SHOP_NAME,
+    },
+  });
+  const chunks = [];
+  doc.on("data", (chunk) => chunks.push(chunk));
+  const done = new Promise((resolve, reject) => {
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+  });
+
+  doc.registerFont("body", FONT || "Helvetica");
+  doc.registerFont("bold", BOLD_FONT || "Helvetica-Bold");
+  // Embedded once and reused on every page
+  const logo = logoBuffer && doc.openImage(logoBuffer);
+
+  orders.forEach((order) => {
+    doc.addPage();
+    if (type === "invoice") {
+      drawInvoice(doc, logo, order, issueInvoice(order, issuedBy));
+    } else {
+      drawPackingSlip(doc, logo, order);
+    }
+  });
+  doc.end();
+  return done;
+};
+
+module.exports = {
+  INVOICE_ENTITY,
+  DOCUMENT_TYPES,
+  findInvoice,
+  documentErrors,
+  renderOrderDocuments,
+};
@@ -0,0 +1,250 @@
+// Media library: every file under uploads/ with its size, dimensions and the
+// records that use it, plus cleanup of files nothing references any more.
+const fs = require("fs");
+const path = require("path");
+const sharp = require("sharp");
+const db = require("./db");
+const { removeImageFiles, imageEntry, imageFile } = require("./imageOptimizer");
+
+const UPLOADS_DIR = path.join(__dirname, "uploads");
+
+// Hours from the environment; 0 is a valid setting
+const envHours = (name, fallback) => {
+  const hours = parseFloat(process.env[name]);
+  return Number.isFinite(hours) && hours >= 0 ? hours : fallback;
+};
+
+// Unreferenced files younger than this are kept, so an image uploaded while
+// a record is still being edited is not removed before it is saved
+const ORPHAN_GRACE_HOURS = envHours("MEDIA_ORPHAN_GRACE_HOURS", 72);
+const CLEANUP_INTERVAL_HOURS = envHours("MEDIA_CLEANUP_INTERVAL_HOURS", 24);
+
+// Entities whose records can point at uploads
+const mediaEntities = [...db.productEntities, "blogs"];
+
+// Generated sizes are named <stem>-<width>w.<format>
+const variantPattern = /^(.+)-\d+w\.(webp|avif)$/;
+
+// Filenames referenced from /uploads/ URLs inside HTML (blog content)
+const inlineUploads = (html) => {
+  const files = [];
+  for (const match of html.matchAll(/\/uploads\/([^"'?#\s)<>]+)/g)) {
+    try {
+      files.push(decodeURIComponent(match[1]));
+    } catch (e) {
+      files.push(match[1]);
+    }
+  }
+  return files;
+};
+
+// Map of filename -> [{ entity, id, name, field }]
+const collectReferences = () => {
+  const references = new Map();
+  const add = (file, reference) => {
+    if (!references.has(file)) references.set(file, []);
+    references.get(file).push(reference);
+  };
+
+  // Blog revisions keep their images so a restored version is complete
+  const revisions = db.getAll("blog-revisions").map((revision) => ({
+    id: revision.id,
+    ...revision.snapshot,
+    name: `${revision.snapshot.title || revision.blogId} (revision ${revision.number})`,
+  }));
+
+  // So do trashed records, until they are purged
+  const trashed = db.getAll("trash").map((entry) => ({
+    ...entry.record,
+    id: entry.recordId,
+    name: `${entry.label} (trash)`,
+  }));
+
+  const recordsOf = {
+    "blog-revisions": revisions,
+    trash: trashed,
+  };
+
+  [...mediaEntities, "blog-revisions", "trash"].forEach((entity) => {
+    const records = recordsOf[entity] || db.getAll(entity);
+    records.forEach((record) => {
+      const owner = {
+        entity,
+        id: record.id,
+        name: record.name || record.title || record.id,
+      };
+      (record.images || []).forEach((entry) => {
+        add(imageFile(entry), { ...owner, field: "images" });
+        (entry.variants || []).forEach((variant) =>
+          add(variant.file, { ...owner, field: "images" }),
+        );
+      });
+      if (typeof record.content === "string") {
+        inlineUploads(record.content).forEach((file) =>
+          add(file, { ...owner, field: "content" }),
+        );
+      }
+    });
+  });
+
+  return references;
+};
+
+// Dimensions are read once per file version
+const dimensionCache = new Map();
+
+const readDimensions = async (filePath, stats) => {
+  const key = `${filePath}:${stats.mtimeMs}`;
+  if (!dimensionCache.has(key)) {
+    try {
+      const { width, height, format } = await sharp(filePath).metadata();
+      dimensionCache.set(key, { width, height, format });
+    } catch (err) {
+      dimensionCache.set(key, { width: null, height: null, format: null });
+    }
+  }
+  return dimensionCache.get(key);
+};
+
+const listUploads = () => {
+  if (!fs.existsSync(UPLOADS_DIR)) return [];
+  return fs
+    .readdirSync(UPLOADS_DIR, { withFileTypes: true })
+    .filter((entry) => entry.isFile())
+    .map((entry) => entry.name);
+};
+
+// One entry per file. Size variants inherit the references of the image
+// they were generated from.
+const buildMediaIndex = async () => {
+  const references = collectReferences();
+  const files = listUploads();
+  const fileSet = new Set(files);
+
+  const index = [];
+  for (const name of files) {
+    const filePath = path.join(UPLOADS_DIR, name);
+    const stats = fs.statSync(filePath);
+    const dimensions = await readDimensions(filePath, stats);
+
+    const variantMatch = name.match(variantPattern);
+    const variantOf =
+      variantMatch && fileSet.has(`${variantMatch[1]}.webp`)
+        ? `${variantMatch[1]}.webp`
+        : null;
+
+    const fileReferences = [
+      ...(references.get(name) || []),
+      ...((variantOf && references.get(variantOf)) || []),
+    ];
+
+    index.push({
+      name,
+      url: `/uploads/${encodeURIComponent(name)}`,
+      size: stats.size,
+      width: dimensions.width,
+      height: dimensions.height,
+      format: dimensions.format,
+      modifiedAt: stats.mtime.toISOString(),
+      isVariant: !!variantOf,
+      variantOf,
+      references: fileReferences,
+      orphaned: fileReferences.length === 0,
+    });
+  }
+  return index;
+};
+
+// Size variants recorded for an image on any record, so an image picked
+// from the library keeps its srcset when attached elsewhere
+const recordedVariants = (filename) => {
+  for (const entity of mediaEntities) {
+    for (const record of db.getAll(entity)) {
+      const entry = (record.images || []).find(
+        (image) => image.file === filename && image.variants,
+      );
+      if (entry) return entry.variants;
+    }
+  }
+  return undefined;
+};
+
+// `images` entries for a list of filenames. Each keeps the variants of its
+// entry in `known`, else those recorded for the file on any record.
+const toImageEntries = (names, known = []) =>
+  names.map(imageFile).map((name) => {
+    const entry = known.find(
+      (image) => typeof image === "object" && imageFile(image) === name,
+    );
+    return entry || imageEntry(name, recordedVariants(name));
+  });
+
+const isReferenced = (name, references = collectReferences()) => {
+  if (references.has(name)) return true;
+  const variantMatch = name.match(variantPattern);
+  return !!variantMatch && references.has(`${variantMatch[1]}.webp`);
+};
+
+// Deletes an upload (and the given size variants) unless a record still
+// uses it; identical uploads share one file. Returns false when in use.
+const removeMedia = (name, variants) => {
+  if (isReferenced(name)) return false;
+  removeImageFiles(name, variants);
+  return true;
+};
+
+// Removes unreferenced files older than the grace period. References are
+// re-read right before deleting so a file attached in the meantime stays.
+const cleanupOrphans = async ({
+  dryRun = false,
+  graceHours = ORPHAN_GRACE_HOURS,
+} = {}) => {
+  const cutoff = Date.now() - graceHours * 60 * 60 * 1000;
+  const candidates = (await buildMediaIndex()).filter(
+    (file) => file.orphaned && new Date(file.modifiedAt).getTime() < cutoff,
+  );
+
+  const references = collectReferences();
+  const removed = candidates.filter(
+    (file) => !isReferenced(file.name, references),
+  );
+  if (!dryRun) removed.forEach((file) => removeImageFiles(file.name));
+
+  return {
+    dryRun,
+    graceHours,
+    files: removed.map((file) => file.name),
+    bytes: removed.reduce((sum, file) => sum + file.size, 0),
+  };
+};
+
+// Periodic cleanup; MEDIA_CLEANUP_INTERVAL_HOURS=0 turns it off
+const startMediaCleanup = () => {
+  if (!(CLEANUP_INTERVAL_HOURS > 0)) return;
+  const timer = setInterval(
+    async () => {
+      try {
+        const result = await cleanupOrphans();
+        if (result.files.length > 0) {
+          console.log(
+            `Media cleanup removed ${result.files.length} unreferenced file(s)`,
+          );
+        }
+      } catch (err) {
+        console.error("Media cleanup failed:", err);
+      }
+    },
+    CLEANUP_INTERVAL_HOURS * 60 * 60 * 1000,
+  );
+  timer.unref();
+};
+
+module.exports = {
+  ORPHAN_GRACE_HOURS,
+  buildMediaIndex,
+  recordedVariants,
+  toImageEntries,
+  removeMedia,
+  cleanupOrphans,
+  startMediaCleanup,
+};
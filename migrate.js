@@ -0,0 +1,30 @@
+// Imports every ./data/*.json file into the SQLite database used by
+// STORAGE_BACKEND=sqlite. Safe to re-run: each entity is replaced as a whole.
+//
+//   npm run migrate:sqlite
+require("dotenv").config();
+
+const jsonStorage = require("./storage/json");
+const sqliteStorage = require("./storage/sqlite");
+
+let failed = false;
+
+jsonStorage.listEntities().forEach((entity) => {
+  try {
+    const records = jsonStorage.getAll(entity);
+    const valid = records.filter((record) => record && record.id);
+    if (valid.length !== records.length) {
+      console.warn(
+        `${entity}: skipping ${records.length - valid.length} record(s) without an id`,
+      );
+    }
+
+    sqliteStorage.replaceAll(entity, valid);
+    console.log(`${entity}: imported ${valid.length} record(s)`);
+  } catch (err) {
+    failed = true;
+    console.error(`${entity}: import failed -`, err.message);
+  }
+});
+
+process.exit(failed ? 1 : 0);
@@ -0,0 +1,15 @@
+// Money amounts are kept to two decimals
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// Amounts as they are stored on orders: numbers or numeric strings, with
+// anything unreadable counted as 0
+const toAmount = (value) => parseFloat(value) || 0;
+
+// What an order line comes to: its saved total, else price x quantity for
+// lines saved without one
+const lineTotal = (item) =>
+  item.total !== undefined
+    ? toAmount(item.total)
+    : toAmount(item.price) * (parseInt(item.quantity) || 0);
+
+module.exports = { roundMoney, toAmount, lineTotal };
@@ -0,0 +1,50 @@
+// Order lifecycle. `next` lists the statuses an order may move to from each
+// state; `color` is used by the admin pages to style the status badge.
+const ORDER_STATUSES = [
+  { status: "Pending", color: "yellow", next: ["Confirmed", "Cancelled"] },
+  {
+    status: "Confirmed",
+    color: "blue",
+    next: ["Roasting", "Packed", "Cancelled"],
+  },
+  { status: "Roasting", color: "orange", next: ["Packed", "Cancelled"] },
+  { status: "Packed", color: "indigo", next: ["Shipped", "Cancelled"] },
+  { status: "Shipped", color: "purple", next: ["Delivered"] },
+  { status: "Delivered", color: "green", next: ["Refunded"] },
+  { status: "Cancelled", color: "red", next: ["Refunded"] },
+  { status: "Refunded", color: "gray", next: [] },
+];
+
+const INITIAL_STATUS = "Pending";
+
+const findStatus = (status) => ORDER_STATUSES.find((s) => s.status === status);
+
+const isValidStatus = (status) => !!findStatus(status);
+
+// Orders saved before the lifecycle existed may carry an unknown status;
+// those may move to any valid status once.
+const canTransition = (from, to) => {
+  if (!isValidStatus(to)) return false;
+  const current = findStatus(from);
+  if (!current) return true;
+  return current.next.includes(to);
+};
+
+const historyEntry = (from, to, changedBy, note) => {
+  const entry = {
+    from: from || null,
+    to,
+    changedBy,
+    changedAt: new Date().toISOString(),
+  };
+  if (note) entry.note = note;
+  return entry;
+};
+
+module.exports = {
+  ORDER_STATUSES,
+  INITIAL_STATUS,
+  isValidStatus,
+  canTransition,
+  historyEntry,
+};
@@ -0,0 +1,125 @@
+const db = require("./db");
+const { roundMoney } = require("./money");
+
+const findProduct = (productId) => {
+  for (const entity of db.productEntities) {
+    const product = db.getByIdOrSlug(entity, productId);
+    if (product) return { entity, product };
+  }
+  return null;
+};
+
+// Variants are stored as { size, price }; products without variants sell
+// under the "default" variant at their main price.
+const findVariant = (product, variantName) => {
+  if (!Array.isArray(product.variants) || product.variants.length === 0) {
+    if (!variantName || variantName === "default") {
+      return { size: "default", price: product.price };
+    }
+    return null;
+  }
+  if (!variantName || variantName === "default") return product.variants[0];
+  return product.variants.find(
+    (v) => v.size === variantName || v.name === variantName,
+  );
+};
+
+// Unit price after the product's own discountPercentage
+const discountedPrice = (price, discountPercentage) => {
+  const pct = parseFloat(discountPercentage) || 0;
+  return roundMoney((parseFloat(price) || 0) * (1 - pct / 100));
+};
+
+const priceItems = (items) => {
+  const errors = [];
+  const priced = [];
+
+  (items || []).forEach((item, index) => {
+    const match = findProduct(item.productId);
+    if (!match) {
+      errors.push(`Item ${index}: product ${item.productId} not found`);
+      return;
+    }
+
+    const { product } = match;
+    const variant = findVariant(product, item.variant);
+    if (!variant) {
+      errors.push(
+        `Item ${index}: variant "${item.variant}" not found for ${product.name}`,
+      );
+      return;
+    }
+
+    const listPrice = parseFloat(variant.price) || 0;
+    const discountPercentage = parseFloat(product.discountPercentage) || 0;
+    const price = discountedPrice(listPrice, discountPercentage);
+    const quantity = parseInt(item.quantity) || 0;
+
+    const line = {
+      productId: product.id,
+      productName: product.name,
+      variant: variant.size || variant.name || "default",
+      quantity,
+      price,
+      total: roundMoney(price * quantity),
+    };
+    if (discountPercentage > 0) {
+      line.originalPrice = listPrice;
+      line.discountPercentage = discountPercentage;
+    }
+    priced.push(line);
+  });
+
+  const subtotal = roundMoney(priced.reduce((sum, line) => sum + line.total, 0));
+  return { errors, items: priced, subtotal };
+};
+
+// What an order comes to on top of its subtotal. The order's own price
+// fields are ignored except deliveryFee and the admin-entered
+// extraDiscount/discountType.
+const orderTotals = (order, subtotal, couponDiscount = 0) => {
+  const deliveryFee = Math.max(0, parseFloat(order.deliveryFee) || 0);
+  const extraDiscountValue = Math.max(0, parseFloat(order.extraDiscount) || 0);
+  const discountType = ["percent", "percentage"].includes(order.discountType)
+    ? "percent"
+    : "flat";
+  const extraDiscountAmount = roundMoney(
+    discountType === "percent"
+      ? (subtotal * extraDiscountValue) / 100
+      : extraDiscountValue,
+  );
+
+  const totalAmount = Math.max(
+    0,
+    Math.round(subtotal + deliveryFee - extraDiscountAmount - couponDiscount),
+  );
+
+  return {
+    deliveryFee,
+    discountType,
+    extraDiscount: extraDiscountValue,
+    extraDiscountAmount,
+    couponDiscount,
+    totalAmount,
+  };
+};
+
+// Full breakdown of what an order costs, computed from the catalog
+const priceOrder = (order, couponDiscount = 0) => {
+  const { errors, items, subtotal } = priceItems(order.items);
+  return {
+    errors,
+    items,
+    subtotal,
+    ...orderTotals(order, subtotal, couponDiscount),
+  };
+};
+
+module.exports = {
+  findProduct,
+  findVariant,
+  discountedPrice,
+  priceItems,
+  orderTotals,
+  priceOrder,
+};
@@ -0,0 +1,277 @@
+// Products as spreadsheet rows, for export and bulk import. A product with
+// variants takes one row per variant; the product columns are repeated on
+// each of its rows. Import matches rows to existing products by slug (old
+// slugs included) and creates the rest.
+const fs = require("fs");
+const path = require("path");
+const db = require("./db");
+const { validateEntity, toList } = require("./schemas");
+const { toImageEntries } = require("./media");
+const { imageFile } = require("./imageOptimizer");
+
+const UPLOADS_DIR = path.join(__dirname, "uploads");
+
+const PRODUCT_TYPES = db.productEntities;
+const consumableTypes = ["beans", "syrups", "sauces"];
+
+// Header = field name, so an exported file can be edited and imported again
+const productFields = [
+  "name",
+  "brand",
+  "model",
+  "description",
+  "price",
+  "discountPercentage",
+  "stock",
+  "weight",
+  "inStock",
+  "isFeatured",
+  "keywords",
+  "cupping_notes",
+  "roast_level",
+  "grind_type",
+  "size",
+  "flavour_profile",
+  "specifications",
+  "features",
+  "images",
+];
+const variantFields = [
+  "variant_size",
+  "variant_price",
+  "variant_stock",
+  "variant_weight",
+];
+
+const PRODUCT_COLUMNS = [
+  "type",
+  "slug",
+  ...productFields,
+  ...variantFields,
+].map((key) => ({
+  header: key,
+  key,
+  width: key === "description" ? 40 : undefined,
+}));
+
+const listText = (value) =>
+  Array.isArray(value) ? value.join(", ") : value || "";
+
+const objectText = (value) =>
+  value && typeof value === "object" && Object.keys(value).length > 0
+    ? JSON.stringify(value)
+    : "";
+
+const productRows = (type, products) =>
+  products.flatMap((product) => {
+    const row = { type, slug: product.slug };
+    productFields.forEach((field) => {
+      const value = product[field];
+      if (field === "images") {
+        row[field] = listText((value || []).map(imageFile));
+      } else if (["keywords", "cupping_notes"].includes(field)) {
+        row[field] = listText(value);
+      } else if (["specifications", "features"].includes(field)) {
+        row[field] = objectText(value);
+      } else if (typeof value === "boolean") {
+        row[field] = value ? "true" : "false";
+      } else {
+        row[field] = value === undefined || value === null ? "" : value;
+      }
+    });
+    const variants = Array.isArray(product.variants) ? product.variants : [];
+    if (variants.length === 0) return [row];
+    return variants.map((variant) => ({
+      ...row,
+      variant_size: variant.size || variant.name || "",
+      variant_price: variant.price,
+      variant_stock: variant.stock === undefined ? "" : variant.stock,
+      variant_weight: variant.weight === undefined ? "" : variant.weight,
+    }));
+  });
+
+// yes/no and 1/0 are accepted for the true/false columns
+const toBoolean = (text) => {
+  const value = text.toLowerCase();
+  if (["true", "yes", "y", "1"].includes(value)) return "true";
+  if (["false", "no", "n", "0"].includes(value)) return "false";
+  return text;
+};
+
+// Product fields of one row as a request body, plus row-level problems the
+// schema cannot see
+const rowBody = (values, errors) => {
+  const body = {};
+  productFields.forEach((field) => {
+    const text = values[field];
+    if (text === undefined || text === "") return;
+    if (["inStock", "isFeatured"].includes(field))
+      body[field] = toBoolean(text);
+    else if (field === "images") body.images = toList(text);
+    else body[field] = text;
+  });
+
+  (body.images || []).forEach((image) => {
+    if (
+      image !== path.basename(image) ||
+      !fs.existsSync(path.join(UPLOADS_DIR, image))
+    ) {
+      errors.push(`image ${image} is not in the media library`);
+    }
+  });
+  return body;
+};
+
+const rowVariant = (values) => {
+  if (variantFields.every((field) => !values[field])) return null;
+  const number = (text) => (text === "" ? undefined : Number(text));
+  const variant = {
+    size: values.variant_size,
+    price: number(values.variant_price),
+  };
+  if (values.variant_stock) variant.stock = number(values.variant_stock);
+  if (values.variant_weight) variant.weight = number(values.variant_weight);
+  return variant;
+};
+
+const findExisting = (type, slug) =>
+  slug
+    ? db.getByIdOrSlug(type, slug) || db.getBySlugAlias(type, slug)
+    : undefined;
+
+// Groups the rows by product and checks each product. Returns
+// { products: [{ type, slug, action, existing, body, lines }], errors }
+// where errors are [{ sheet, line, errors }].
+const planImport = (records) => {
+  const errors = [];
+  const groups = new Map();
+
+  records.forEach(({ sheet, line, values }) => {
+    const rowErrors = [];
+    const type = (
+      values.type ||
+      (sheet && sheet.toLowerCase()) ||
+      ""
+    ).toLowerCase();
+    if (!PRODUCT_TYPES.includes(type)) {
+      rowErrors.push(`type must be one of: ${PRODUCT_TYPES.join(", ")}`);
+    }
+    const slug = values.slug ? db.slugify(values.slug) : "";
+    if (!slug && !values.name) rowErrors.push("slug or name is required");
+
+    const body = rowBody(values, rowErrors);
+    const variant = rowVariant(values);
+    if (variant && !consumableTypes.includes(type)) {
+      rowErrors.push(`${type} have no variants`);
+    }
+
+    if (rowErrors.length > 0) {
+      errors.push({ sheet, line, errors: rowErrors });
+      return;
+    }
+
+    // Rows without a slug are new products, grouped by name
+    const key = `${type}:${slug || `name:${values.name}`}`;
+    if (!groups.has(key)) {
+      groups.set(key, { type, slug, body, variants: [], lines: [], sheet });
+    }
+    const group = groups.get(key);
+
+    // Product columns come from the first row; later rows may repeat them
+    const conflicts = Object.keys(body).filter(
+      (field) =>
+        JSON.stringify(body[field]) !== JSON.stringify(group.body[field]),
+    );
+    if (group.lines.length > 0 && conflicts.length > 0) {
+      errors.push({
+        sheet,
+        line,
+        errors: conflicts.map(
+          (field) => `${field} differs from line ${group.lines[0]}`,
+        ),
+      });
+      return;
+    }
+    group.lines.push(line);
+    if (variant) group.variants.push(variant);
+  });
+
+  const products = [];
+  groups.forEach(({ type, slug, body, variants, lines, sheet }) => {
+    const existing = findExisting(type, slug);
+    const product = { ...body };
+    if (variants.length > 0) product.variants = variants;
+    if (!existing && slug) product.slug = slug;
+
+    const productErrors = validateEntity(type, product, {
+      partial: !!existing,
+    });
+    if (productErrors.length > 0) {
+      errors.push({ sheet, line: lines[0], errors: productErrors });
+      return;
+    }
+    products.push({
+      type,
+      slug: existing ? existing.slug : slug,
+      action: existing ? "update" : "create",
+      existing,
+      body: product,
+      lines,
+    });
+  });
+
+  return { products, errors };
+};
+
+// Image size variants for imported image lists, as the upload routes do
+const withImageVariants = (body, existing) => {
+  if (!body.images) return body;
+  return {
+    ...body,
+    images: toImageEntries(body.images, (existing && existing.images) || []),
+  };
+};
+
+// Checks every row and, unless it is a dry run or some row is invalid,
+// creates or updates the products. Nothing is written when any row fails.
+const importProducts = (records, { dryRun = false } = {}) => {
+  const { products, errors } = planImport(records);
+  const summary = {
+    dryRun,
+    rows: records.length,
+    create: products.filter((p) => p.action === "create").length,
+    update: products.filter((p) => p.action === "update").length,
+    errors,
+  };
+  if (records.length === 0) {
+    errors.push({ sheet: null, line: null, errors: ["The file has no rows"] });
+  }
+  if (dryRun || errors.length > 0) {
+    return {
+      ...summary,
+      imported: false,
+      products: products.map(({ type, slug, action, lines }) => ({
+        type,
+        slug: slug || null,
+        action,
+        lines,
+      })),
+    };
+  }
+
+  const saved = products.map(({ type, action, existing, body, lines }) => {
+    const record =
+      action === "update"
+        ? db.update(type, existing.id, withImageVariants(body, existing))
+        : db.create(type, withImageVariants(body));
+    return { type, slug: record.slug, action, id: record.id, lines };
+  });
+  return { ...summary, imported: true, products: saved };
+};
+
+module.exports = {
+  PRODUCT_TYPES,
+  PRODUCT_COLUMNS,
+  productRows,
+  importProducts,
+};
@@ -0,0 +1,201 @@
+// Optimistic concurrency for the edit pages (products, orders, blogs,
+// coupons). A page remembers the version (ETag) of the record it loaded and
+// sends it back as If-Match. When someone else saved in between, the server
+// answers 409 with the current record and the user chooses to merge their
+// edits into it or to reload it.
+//
+//   rememberVersion(response)  after loading the record
+//   setBaseline(body)          with the form's values right after loading
+//   saveWithVersion({ send, body, loaded, onReload })  instead of fetch()
+
+let recordVersion = null;
+let baselineFields = {};
+
+function rememberVersion(response) {
+  const etag = response.headers.get("ETag");
+  if (etag) recordVersion = etag;
+}
+
+function versionHeaders(headers = {}) {
+  return recordVersion ? { ...headers, "If-Match": recordVersion } : headers;
+}
+
+// FormData or a plain object -> { field: comparable text }. Files are left
+// out: a newly picked file is always sent.
+function comparableFields(body) {
+  const fields = {};
+  const entries =
+    body instanceof FormData ? [...body.entries()] : Object.entries(body);
+  entries.forEach(([key, value]) => {
+    if (value instanceof File) return;
+    const text = typeof value === "string" ? value : JSON.stringify(value);
+    fields[key] = key in fields ? `${fields[key]}\n${text}` : text;
+  });
+  return fields;
+}
+
+function setBaseline(body) {
+  baselineFields = comparableFields(body);
+}
+
+// Fields the user edited since the record was loaded
+function changedFields(body) {
+  const fields = comparableFields(body);
+  return Object.keys(fields).filter(
+    (key) => fields[key] !== baselineFields[key],
+  );
+}
+
+// The part of a request body that holds the user's edits
+function pickFields(body, keys) {
+  if (!(body instanceof FormData)) {
+    return Object.fromEntries(
+      Object.entries(body).filter(([key]) => keys.includes(key)),
+    );
+  }
+  const picked = new FormData();
+  for (const [key, value] of body.entries()) {
+    if (keys.includes(key) || value instanceof File) picked.append(key, value);
+  }
+  return picked;
+}
+
+// Bookkeeping fields that change on every save
+const ignoredFields = ["version", "updatedAt", "slugAliases", "readTime"];
+
+// Top-level fields that differ between two versions of a record
+function diffRecords(before, after) {
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+  return [...keys].filter(
+    (key) =>
+      !ignoredFields.includes(key) &&
+      JSON.stringify(before[key]) !== JSON.stringify(after[key]),
+  );
+}
+
+const fieldLabel = (key) =>
+  key
+    .replace(/_/g, " ")
+    .replace(/([a-z])([A-Z])/g, "$1 $2")
+    .toLowerCase();
+
+function escapeConflictText(value) {
+  return String(value).replace(
+    /[&<>"']/g,
+    (c) =>
+      ({
+        "&": "&amp;",
+        "<": "&lt;",
+        ">": "&gt;",
+        '"': "&quot;",
+        "'": "&#39;",
+      })[c],
+  );
+}
+
+function previewValue(value) {
+  if (value === undefined || value === null || value === "") return "(empty)";
+  const text = typeof value === "string" ? value : JSON.stringify(value);
+  const plain = text
+    .replace(/<[^>]*>/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+  return plain.length > 80 ? `${plain.slice(0, 80)}…` : plain;
+}
+
+// Shows what the other person changed next to the user's own edits.
+// Resolves with "merge", "reload" or "cancel".
+function askToResolveConflict(loaded, current, mine) {
+  const theirs = diffRecords(loaded, current);
+  const both = mine.filter((key) => theirs.includes(key));
+  const savedAt = current.updatedAt
+    ? new Date(current.updatedAt).toLocaleString("en-GB")
+    : "just now";
+
+  const list = (keys, render) =>
+    keys.length === 0
+      ? '<p class="text-sm text-gray-400">Nothing</p>'
+      : `<ul class="space-y-1.5">${keys.map(render).join("")}</ul>`;
+
+  const modal = document.createElement("div");
+  modal.className =
+    "fixed inset-0 z-[1003] bg-black/40 backdrop-blur-sm flex items-center justify-center p-4";
+  modal.innerHTML = `
+    <div class="bg-white dark:bg-gray-900 rounded-2xl shadow-xl w-full max-w-lg max-h-[85vh] flex flex-col">
+      <div class="px-6 py-4 border-b border-gray-100 dark:border-gray-800">
+        <h3 class="font-bold text-gray-800 dark:text-gray-100 flex items-center gap-2">
+          <span class="material-symbols-outlined text-accent-red">sync_problem</span>
+          Someone else saved this while you were editing
+        </h3>
+        <p class="text-xs text-gray-500 mt-1">Their version was saved ${escapeConflictText(savedAt)}.</p>
+      </div>
+      <div class="p-6 overflow-y-auto space-y-5">
+        <div>
+          <h4 class="text-xs font-bold text-gray-400 uppercase tracking-widest mb-2">Their changes</h4>
+          ${list(
+            theirs,
+            (key) => `
+            <li class="text-sm">
+              <span class="font-bold text-gray-700 dark:text-gray-200">${escapeConflictText(fieldLabel(key))}</span>
+              <span class="text-gray-500">&rarr; ${escapeConflictText(previewValue(current[key]))}</span>
+            </li>`,
+          )}
+        </div>
+        <div>
+          <h4 class="text-xs font-bold text-gray-400 uppercase tracking-widest mb-2">Your changes</h4>
+          ${list(
+            mine,
+            (key) => `
+            <li class="text-sm font-bold ${both.includes(key) ? "text-accent-red" : "text-gray-700 dark:text-gray-200"}">
+              ${escapeConflictText(fieldLabel(key))}${both.includes(key) ? " (also changed by them)" : ""}
+            </li>`,
+          )}
+        </div>
+        <p class="text-xs text-gray-500">
+          <b>Merge</b> saves only the fields you changed on top of their version${both.length > 0 ? "; where you both changed a field, yours wins" : ""}.
+          <b>Reload</b> discards your edits and shows their version.
+        </p>
+      </div>
+      <div class="flex justify-end gap-2 px-6 py-4 border-t border-gray-100 dark:border-gray-800">
+        <button data-choice="cancel" class="px-4 py-2 rounded-lg text-sm font-bold text-gray-500 hover:bg-gray-100 dark:hover:bg-gray-800">Keep Editing</button>
+        <button data-choice="reload" class="px-4 py-2 rounded-lg text-sm font-bold text-primary hover:bg-primary/10">Reload</button>
+        ${mine.length > 0 ? '<button data-choice="merge" class="bg-primary hover:bg-primary/90 text-white px-4 py-2 rounded-lg text-sm font-bold">Merge &amp; Save</button>' : ""}
+      </div>
+    </div>`;
+  document.body.appendChild(modal);
+
+  return new Promise((resolve) => {
+    modal.addEventListener("click", (e) => {
+      const button = e.target.closest("[data-choice]");
+      if (!button) return;
+      modal.remove();
+      resolve(button.dataset.choice);
+    });
+  });
+}
+
+// Sends the save with If-Match. On a conflict the user decides: merging
+// re-sends only their edits against the newer version, reloading calls
+// onReload. Resolves with the final response, or null when nothing was
+// saved.
+async function saveWithVersion({ send, body, loaded, onReload }) {
+  const mine = changedFields(body);
+  let response = await send(body, versionHeaders());
+
+  while (response.status === 409) {
+    const { current } = await response.json();
+    const choice = await askToResolveConflict(loaded || {}, current, mine);
+    if (choice === "reload") {
+      onReload();
+      return null;
+    }
+    // "Keep editing" leaves the old version, so the next save asks again
+    if (choice !== "merge") return null;
+    rememberVersion(response);
+    loaded = current;
+    response = await send(pickFields(body, mine), versionHeaders());
+  }
+
+  rememberVersion(response);
+  return response;
+}
@@ -0,0 +1,112 @@
+// History panel for the edit pages (products, orders, blogs, coupons): who
+// created, changed or deleted the record and what each save changed, from
+// the audit log (GET /api/:entity/:identifier/history).
+//
+// The page provides a hidden #historyCard containing #historyList and calls
+// loadRecordHistory(entity, identifier) once the record has loaded.
+
+const historyActions = {
+  created: { icon: "add_circle", label: "Created", color: "text-primary" },
+  updated: { icon: "edit", label: "Updated", color: "text-gray-500" },
+  deleted: { icon: "delete", label: "Deleted", color: "text-accent-red" },
+  restored: {
+    icon: "restore_from_trash",
+    label: "Restored",
+    color: "text-primary",
+  },
+};
+
+// Shown collapsed; a record's full history can be long
+const HISTORY_PREVIEW = 10;
+
+function escapeHistoryText(value) {
+  return String(value).replace(
+    /[&<>"']/g,
+    (c) =>
+      ({
+        "&": "&amp;",
+        "<": "&lt;",
+        ">": "&gt;",
+        '"': "&quot;",
+        "'": "&#39;",
+      })[c],
+  );
+}
+
+function historyValue(value) {
+  if (value === undefined || value === null || value === "") return "(empty)";
+  const text = typeof value === "string" ? value : JSON.stringify(value);
+  const plain = text
+    .replace(/<[^>]*>/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+  return plain.length > 60 ? `${plain.slice(0, 60)}…` : plain;
+}
+
+function renderHistoryEntry(entry) {
+  const action = historyActions[entry.action] || historyActions.updated;
+  const who =
+    entry.actor === "system"
+      ? "System"
+      : `${entry.actor}${entry.role ? ` (${entry.role})` : ""}`;
+  // A created or deleted record lists every field; only updates show values
+  const changes =
+    entry.action === "updated"
+      ? `<ul class="mt-1.5 space-y-1">${entry.changes
+          .map(
+            (change) => `
+            <li class="text-xs text-gray-500 break-words">
+              <span class="font-bold text-gray-600 dark:text-gray-300">${escapeHistoryText(change.field)}</span>:
+              <span class="line-through">${escapeHistoryText(historyValue(change.from))}</span>
+              &rarr; ${escapeHistoryText(historyValue(change.to))}
+            </li>`,
+          )
+          .join("")}</ul>`
+      : "";
+
+  return `
+    <li class="flex gap-3 py-3 first:pt-0 last:pb-0">
+      <span class="material-symbols-outlined !text-lg ${action.color}">${action.icon}</span>
+      <div class="min-w-0 flex-1">
+        <p class="text-sm text-gray-700 dark:text-gray-200">
+          <span class="font-bold">${action.label}</span> by ${escapeHistoryText(who)}
+        </p>
+        <p class="text-[11px] text-gray-400">${new Date(entry.at).toLocaleString("en-GB")}</p>
+        ${changes}
+      </div>
+    </li>`;
+}
+
+async function loadRecordHistory(entity, identifier) {
+  const card = document.getElementById("historyCard");
+  const list = document.getElementById("historyList");
+  try {
+    const res = await fetch(
+      `/api/${entity}/${encodeURIComponent(identifier)}/history`,
+    );
+    if (!res.ok) return;
+    const history = await res.json();
+    card.classList.remove("hidden");
+
+    const render = (entries) =>
+      entries.length === 0
+        ? '<p class="text-xs text-gray-400">No changes recorded yet.</p>'
+        : `<ul class="divide-y divide-gray-100 dark:divide-gray-800">${entries
+            .map(renderHistoryEntry)
+            .join("")}</ul>`;
+
+    list.innerHTML = render(history.slice(0, HISTORY_PREVIEW));
+    if (history.length > HISTORY_PREVIEW) {
+      const more = document.createElement("button");
+      more.type = "button";
+      more.className = "mt-3 text-xs font-bold text-primary hover:underline";
+      more.textContent = `Show all ${history.length} changes`;
+      more.addEventListener("click", () => {
+        list.innerHTML = render(history);
+      });
+      list.appendChild(more);
+    }
+  } catch (error) {
+    console.error("Failed to load history", error);
+  }
+}
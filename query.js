@@ -0,0 +1,230 @@
+// Filtering, search, sorting and pagination for GET /api/:entity
+const { SCHEMAS } = require("./schemas");
+
+// Query keys that are not field filters (`t` is the dashboard's cache-buster)
+const reservedKeys = [
+  "q",
+  "sort",
+  "limit",
+  "offset",
+  "minPrice",
+  "maxPrice",
+  "t",
+];
+
+const MAX_LIMIT = 100;
+
+// Fields any record may be filtered on
+const commonFields = ["id", "slug", "createdAt", "updatedAt", "version"];
+
+// Fields the server sets on top of the entity's schema (schemas.js), and
+// every field of the lists that have no schema
+const serverFields = {
+  orders: ["status", "statusUpdatedAt", "subtotal", "couponDiscount"],
+  blogs: ["date", "readTime", "publishedAt"],
+  coupons: ["currentUses"],
+  media: [
+    "name",
+    "size",
+    "width",
+    "height",
+    "format",
+    "modifiedAt",
+    "isVariant",
+    "variantOf",
+    "orphaned",
+  ],
+  notifications: [
+    "event",
+    "channel",
+    "template",
+    "recipient",
+    "orderId",
+    "webhookId",
+    "status",
+    "attempts",
+    "lastError",
+  ],
+  "audit-log": [
+    "at",
+    "actor",
+    "role",
+    "action",
+    "entity",
+    "recordId",
+    "label",
+    "method",
+    "path",
+  ],
+  trash: ["entity", "recordId", "label", "deletedAt", "deletedBy", "purgeAt"],
+};
+
+// Other query keys (tracking parameters, cache-busters) are ignored
+const filterFieldsOf = (entity) => [
+  ...commonFields,
+  ...Object.keys((SCHEMAS[entity] && SCHEMAS[entity].fields) || {}),
+  ...(serverFields[entity] || []),
+];
+
+// Fields matched by the `q` text search
+const searchFields = {
+  orders: ["id", "customerName", "phone", "email", "address"],
+  coupons: ["code"],
+  "shipping-zones": ["name", "areas"],
+  notifications: ["recipient", "orderId", "subject", "event", "lastError"],
+  webhooks: ["url", "description"],
+  "audit-log": ["actor", "entity", "recordId", "label"],
+  trash: ["label", "recordId", "deletedBy"],
+  default: [
+    "name",
+    "title",
+    "keywords",
+    "cupping_notes",
+    "category",
+    "brand",
+    "excerpt",
+  ],
+};
+
+const isNumeric = (value) =>
+  value !== "" && value !== null && !isNaN(Number(value));
+
+const compareValues = (a, b) => {
+  if (isNumeric(a) && isNumeric(b)) return Number(a) - Number(b);
+  return String(a).localeCompare(String(b));
+};
+
+// Field equality: booleans and numbers match their string form, array
+// fields match if they contain the value, "a,b" matches either value.
+const matchesFilter = (record, field, rawValue) => {
+  const wanted = String(rawValue)
+    .split(",")
+    .map((v) => v.trim().toLowerCase());
+  const value = record[field];
+  const values = Array.isArray(value) ? value : [value];
+  return values.some(
+    (v) =>
+      v !== undefined && v !== null && wanted.includes(String(v).toLowerCase()),
+  );
+};
+
+// Range filters: <field>_gte / <field>_lte, plus minPrice / maxPrice
+const parseRangeFilters = (query, fields) => {
+  const ranges = [];
+  Object.keys(query).forEach((key) => {
+    const match = key.match(/^(.+)_(gte|lte)$/);
+    if (match && fields.includes(match[1]))
+      ranges.push({ field: match[1], op: match[2], value: query[key] });
+  });
+  if (query.minPrice !== undefined)
+    ranges.push({ field: "price", op: "gte", value: query.minPrice });
+  if (query.maxPrice !== undefined)
+    ranges.push({ field: "price", op: "lte", value: query.maxPrice });
+  return ranges;
+};
+
+const matchesRange = (record, { field, op, value }) => {
+  const current = record[field];
+  if (current === undefined || current === null || current === "") return false;
+  const diff = compareValues(current, value);
+  return op === "gte" ? diff >= 0 : diff <= 0;
+};
+
+const matchesSearch = (record, terms, fields) => {
+  const haystack = fields
+    .map((field) => {
+      const value = record[field];
+      return Array.isArray(value) ? value.join(" ") : value;
+    })
+    .filter((value) => value !== undefined && value !== null)
+    .join(" ")
+    .toLowerCase();
+  return terms.every((term) => haystack.includes(term));
+};
+
+// "price,-createdAt" -> [{ field: "price", dir: 1 }, { field: "createdAt", dir: -1 }]
+const parseSort = (sort) =>
+  String(sort)
+    .split(",")
+    .map((key) => key.trim())
+    .filter((key) => key)
+    .map((key) =>
+      key.startsWith("-")
+        ? { field: key.slice(1), dir: -1 }
+        : { field: key, dir: 1 },
+    );
+
+const parseCount = (value, name, errors) => {
+  if (value === undefined) return undefined;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0) {
+    errors.push(`${name} must be a non-negative integer`);
+    return undefined;
+  }
+  return number;
+};
+
+// Returns { errors, items, total, paginated, limit, offset }. `paginated`
+// is set when the caller asked for limit/offset, in which case the route
+// answers with an envelope instead of a bare array.
+const queryRecords = (records, query, entity) => {
+  const errors = [];
+  const limit = parseCount(query.limit, "limit", errors);
+  const offset = parseCount(query.offset, "offset", errors) || 0;
+  if (limit === 0) errors.push("limit must be at least 1");
+  if (errors.length > 0) return { errors };
+
+  let items = records;
+  const fields = filterFieldsOf(entity);
+
+  Object.keys(query)
+    .filter((key) => !reservedKeys.includes(key) && fields.includes(key))
+    .forEach((field) => {
+      items = items.filter((record) =>
+        matchesFilter(record, field, query[field]),
+      );
+    });
+
+  parseRangeFilters(query, fields).forEach((range) => {
+    items = items.filter((record) => matchesRange(record, range));
+  });
+
+  if (query.q) {
+    const terms = String(query.q)
+      .toLowerCase()
+      .split(/\s+/)
+      .filter((t) => t);
+    const fields = searchFields[entity] || searchFields.default;
+    items = items.filter((record) => matchesSearch(record, terms, fields));
+  }
+
+  if (query.sort) {
+    const keys = parseSort(query.sort);
+    items = [...items].sort((a, b) => {
+      for (const { field, dir } of keys) {
+        const missingA = a[field] === undefined || a[field] === null;
+        const missingB = b[field] === undefined || b[field] === null;
+        // Records without the field always sort last
+        if (missingA || missingB) {
+          if (missingA && missingB) continue;
+          return missingA ? 1 : -1;
+        }
+        const diff = compareValues(a[field], b[field]);
+        if (diff !== 0) return diff * dir;
+      }
+      return 0;
+    });
+  }
+
+  const total = items.length;
+  const paginated = query.limit !== undefined || query.offset !== undefined;
+  if (paginated) {
+    const pageLimit = Math.min(limit || MAX_LIMIT, MAX_LIMIT);
+    items = items.slice(offset, offset + pageLimit);
+    return { errors, items, total, paginated, limit: pageLimit, offset };
+  }
+
+  return { errors, items, total, paginated };
+};
+
+module.exports = { queryRecords, MAX_LIMIT };
@@ -0,0 +1,207 @@
+// Sales reports, computed from the orders on every request. Cancelled and
+// refunded orders are left out of every figure (they are only counted in
+// summary.excludedOrders). Periods are UTC days, ISO weeks starting on
+// Monday, or calendar months.
+const { roundMoney, toAmount, lineTotal } = require("./money");
+
+const REPORT_INTERVALS = ["day", "week", "month"];
+
+const excludedStatuses = ["Cancelled", "Refunded"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// First day of the period a date falls in
+const periodStart = (date, interval) => {
+  const day = new Date(
+    Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()),
+  );
+  if (interval === "week") {
+    return new Date(day.getTime() - ((day.getUTCDay() + 6) % 7) * DAY_MS);
+  }
+  if (interval === "month") day.setUTCDate(1);
+  return day;
+};
+
+const nextPeriod = (start, interval) => {
+  const next = new Date(start);
+  if (interval === "month") next.setUTCMonth(next.getUTCMonth() + 1);
+  else next.setUTCDate(next.getUTCDate() + (interval === "week" ? 7 : 1));
+  return next;
+};
+
+// "2024-04-05" for days and weeks (the Monday), "2024-04" for months
+const periodKey = (start, interval) =>
+  start.toISOString().slice(0, interval === "month" ? 7 : 10);
+
+const newTotals = () => ({ orders: 0, revenue: 0 });
+
+const addOrder = (totals, order) => {
+  totals.orders += 1;
+  totals.revenue += toAmount(order.totalAmount);
+};
+
+const withAverage = ({ orders, revenue }) => ({
+  orders,
+  revenue: roundMoney(revenue),
+  averageOrderValue: orders > 0 ? roundMoney(revenue / orders) : 0,
+});
+
+// Number of periods from since to until, to refuse ranges too long to chart
+const periodCount = (since, until, interval) => {
+  const days = (new Date(until).getTime() - new Date(since).getTime()) / DAY_MS;
+  return Math.ceil(days / { day: 1, week: 7, month: 28 }[interval]) + 1;
+};
+
+// Map values sorted by a field, highest first, money rounded
+const ranked = (map, field, limit) =>
+  [...map.values()]
+    .sort((a, b) => b[field] - a[field] || b.revenue - a.revenue)
+    .slice(0, limit)
+    .map((entry) => ({ ...entry, revenue: roundMoney(entry.revenue) }));
+
+// Every period between the first and last one, including those without
+// orders, so charts keep an even time axis
+const buildSeries = (byPeriod, first, last, interval) => {
+  const series = [];
+  for (
+    let start = periodStart(first, interval);
+    start <= last;
+    start = nextPeriod(start, interval)
+  ) {
+    const key = periodKey(start, interval);
+    series.push({
+      period: key,
+      ...withAverage(byPeriod.get(key) || newTotals()),
+    });
+  }
+  return series;
+};
+
+// orders: every order; since/until: ISO timestamps or undefined;
+// limit: length of the best-seller lists
+const salesReport = (
+  orders,
+  { since, until, interval = "day", limit = 10 },
+) => {
+  const inRange = orders.filter(
+    (order) =>
+      order.createdAt &&
+      (!since || order.createdAt >= since) &&
+      (!until || order.createdAt <= until),
+  );
+  const counted = inRange.filter(
+    (order) => !excludedStatuses.includes(order.status),
+  );
+
+  const total = newTotals();
+  const byPeriod = new Map();
+  const products = new Map();
+  const variants = new Map();
+  const paid = { paid: newTotals(), unpaid: newTotals() };
+  const paymentMethods = new Map();
+  const coupons = new Map();
+  let itemsSold = 0;
+
+  counted.forEach((order) => {
+    addOrder(total, order);
+
+    const key = periodKey(
+      periodStart(new Date(order.createdAt), interval),
+      interval,
+    );
+    if (!byPeriod.has(key)) byPeriod.set(key, newTotals());
+    addOrder(byPeriod.get(key), order);
+
+    addOrder(order.isPaid ? paid.paid : paid.unpaid, order);
+
+    const method = order.paymentMethod || "Unknown";
+    if (!paymentMethods.has(method)) {
+      paymentMethods.set(method, { method, ...newTotals() });
+    }
+    addOrder(paymentMethods.get(method), order);
+
+    if (order.couponCode) {
+      const code = order.couponCode;
+      if (!coupons.has(code))
+        coupons.set(code, { code, orders: 0, discount: 0 });
+      const coupon = coupons.get(code);
+      coupon.orders += 1;
+      coupon.discount += toAmount(order.couponDiscount);
+    }
+
+    (Array.isArray(order.items) ? order.items : []).forEach((item) => {
+      const quantity = parseInt(item.quantity) || 0;
+      const revenue = lineTotal(item);
+      const variant = item.variant || "default";
+      itemsSold += quantity;
+
+      if (!products.has(item.productId)) {
+        products.set(item.productId, {
+          productId: item.productId,
+          productName: item.productName,
+          quantity: 0,
+          revenue: 0,
+        });
+      }
+      const product = products.get(item.productId);
+      product.quantity += quantity;
+      product.revenue += revenue;
+
+      const variantKey = `${item.productId}:${variant}`;
+      if (!variants.has(variantKey)) {
+        variants.set(variantKey, {
+          productId: item.productId,
+          productName: item.productName,
+          variant,
+          quantity: 0,
+          revenue: 0,
+        });
+      }
+      const line = variants.get(variantKey);
+      line.quantity += quantity;
+      line.revenue += revenue;
+    });
+  });
+
+  // The requested range, or the span of the orders when it is open
+  const times = counted.map((order) => order.createdAt).sort();
+  const first = since || times[0];
+  const last =
+    until || (since ? new Date().toISOString() : times[times.length - 1]);
+
+  const couponList = [...coupons.values()]
+    .sort((a, b) => b.orders - a.orders)
+    .map((coupon) => ({ ...coupon, discount: roundMoney(coupon.discount) }));
+
+  return {
+    from: since || null,
+    to: until || null,
+    interval,
+    summary: {
+      ...withAverage(total),
+      itemsSold,
+      excludedOrders: inRange.length - counted.length,
+    },
+    series: first
+      ? buildSeries(byPeriod, new Date(first), new Date(last), interval)
+      : [],
+    topProducts: ranked(products, "quantity", limit),
+    topVariants: ranked(variants, "quantity", limit),
+    paid: {
+      paid: withAverage(paid.paid),
+      unpaid: withAverage(paid.unpaid),
+    },
+    paymentMethods: [...paymentMethods.values()]
+      .sort((a, b) => b.revenue - a.revenue)
+      .map(({ method, ...totals }) => ({ method, ...withAverage(totals) })),
+    coupons: {
+      orders: couponList.reduce((sum, coupon) => sum + coupon.orders, 0),
+      discount: roundMoney(
+        couponList.reduce((sum, coupon) => sum + coupon.discount, 0),
+      ),
+      codes: couponList,
+    },
+  };
+};
+
+module.exports = { REPORT_INTERVALS, periodCount, salesReport };
@@ -0,0 +1,362 @@
+// Field rules for each entity, applied to POST (full) and PUT (partial)
+// bodies before they reach db.js. Kept declarative so the same rules can be
+// served to the admin forms and the storefront from GET /api/schemas.
+//
+// Field types accept the raw values forms send: numbers and booleans may
+// arrive as strings, `list` may be a comma-separated string, and `array` /
+// `object` may be JSON strings (multipart bodies) unless the rule sets
+// `json: false`. Empty strings count as "not provided". `requireAny` lists
+// groups where at least one field must be present.
+
+const productFields = {
+  name: { type: "string", required: true, maxLength: 200 },
+  slug: { type: "string", maxLength: 200 },
+  description: { type: "string" },
+  price: { type: "number", min: 0 },
+  brand: { type: "string" },
+  inStock: { type: "boolean" },
+  isFeatured: { type: "boolean" },
+  stock: { type: "integer", min: 0 },
+  // Grams, for shipping zones that charge by weight (shipping.js)
+  weight: { type: "number", min: 0 },
+  discountPercentage: { type: "number", min: 0, max: 100 },
+  keywords: { type: "list" },
+  existingImages: { type: "array", items: { type: "string" } },
+};
+
+const variantSchema = {
+  type: "array",
+  itemLabel: "Variant",
+  items: {
+    type: "object",
+    fields: {
+      size: { type: "string" },
+      name: { type: "string" },
+      price: { type: "number", required: true, min: 0 },
+      stock: { type: "integer", min: 0 },
+      weight: { type: "number", min: 0 },
+    },
+    requireAny: [["size", "name"]],
+  },
+};
+
+const consumableFields = {
+  ...productFields,
+  variants: variantSchema,
+  cupping_notes: { type: "list" },
+  size: { type: "string" },
+  flavour_profile: { type: "string" },
+};
+
+const SCHEMAS = {
+  beans: {
+    fields: {
+      ...consumableFields,
+      roast_level: { type: "string" },
+      grind_type: { type: "string" },
+    },
+    requireAny: [["price", "variants"]],
+  },
+  syrups: {
+    fields: consumableFields,
+    requireAny: [["price", "variants"]],
+  },
+  sauces: {
+    fields: consumableFields,
+    requireAny: [["price", "variants"]],
+  },
+  machines: {
+    fields: {
+      ...productFields,
+      price: { type: "number", required: true, min: 0 },
+      model: { type: "string" },
+      specifications: { type: "object", values: { type: "string" } },
+      features: { type: "object", values: { type: "string" } },
+    },
+  },
+  blogs: {
+    fields: {
+      title: { type: "string", required: true, maxLength: 300 },
+      content: { type: "string" },
+      excerpt: { type: "string", maxLength: 1000 },
+      category: { type: "string" },
+      author: { type: "string" },
+      keywords: { type: "list" },
+      isFeatured: { type: "boolean" },
+      status: { type: "string", enum: ["draft", "scheduled", "published"] },
+      publishAt: { type: "date" },
+    },
+  },
+  coupons: {
+    fields: {
+      code: {
+        type: "string",
+        required: true,
+        pattern: "^[A-Za-z0-9_-]+$",
+        maxLength: 50,
+      },
+      type: { type: "string", required: true, enum: ["percentage", "flat"] },
+      value: { type: "number", required: true, min: 0 },
+      expiryDate: { type: "date" },
+      maxUses: { type: "integer", min: 0 },
+      maxDiscount: { type: "number", min: 0 },
+      isActive: { type: "boolean" },
+    },
+  },
+  webhooks: {
+    fields: {
+      url: {
+        type: "string",
+        required: true,
+        pattern: "^https?://",
+        maxLength: 2000,
+      },
+      events: {
+        type: "list",
+        required: true,
+        enum: ["order.created", "order.status_changed"],
+      },
+      description: { type: "string", maxLength: 200 },
+      isActive: { type: "boolean" },
+    },
+  },
+  "shipping-zones": {
+    fields: {
+      name: { type: "string", required: true, maxLength: 100 },
+      // Cities and areas, matched against the order's area, city and address
+      areas: { type: "list" },
+      isDefault: { type: "boolean" },
+      basis: { type: "string", enum: ["subtotal", "weight"] },
+      tiers: {
+        type: "array",
+        required: true,
+        minItems: 1,
+        itemLabel: "Tier",
+        items: {
+          type: "object",
+          fields: {
+            // Subtotal (BDT) or weight (grams); the last tier may leave it out
+            upTo: { type: "number", min: 0 },
+            fee: { type: "number", required: true, min: 0 },
+          },
+        },
+      },
+      freeShippingOver: { type: "number", min: 0 },
+      cashOnDelivery: { type: "boolean" },
+      isActive: { type: "boolean" },
+    },
+  },
+  orders: {
+    fields: {
+      customerName: { type: "string", required: true },
+      phone: { type: "string", required: true },
+      email: { type: "string" },
+      address: { type: "string", required: true },
+      // Pick the shipping zone; without them the address text is searched
+      city: { type: "string" },
+      area: { type: "string" },
+      paymentMethod: { type: "string", required: true },
+      isPaid: { type: "boolean" },
+      // Optional; when sent it is checked against the server price
+      totalAmount: { type: "number" },
+      deliveryFee: { type: "number", min: 0 },
+      extraDiscount: { type: "number", min: 0 },
+      discountType: { type: "string", enum: ["flat", "percent"] },
+      couponCode: { type: "string" },
+      // Orders are only sent as JSON, and are priced from this very array
+      items: {
+        type: "array",
+        required: true,
+        json: false,
+        minItems: 1,
+        itemLabel: "Item",
+        items: {
+          type: "object",
+          fields: {
+            productId: { type: "string", required: true },
+            variant: { type: "string" },
+            quantity: { type: "integer", required: true, min: 1 },
+          },
+        },
+      },
+    },
+  },
+};
+
+// A `list` value as its entries: arrays and comma-separated strings alike
+const toList = (value) =>
+  []
+    .concat(value ?? [])
+    .flatMap((v) => String(v).split(","))
+    .map((v) => v.trim())
+    .filter(Boolean);
+
+const isEmpty = (value) =>
+  value === undefined || value === null || value === "";
+
+// For `requireAny`, an empty variants list counts as missing too
+const isBlank = (value) =>
+  isEmpty(value) ||
+  (Array.isArray(value) && value.length === 0) ||
+  value === "[]";
+
+// Multipart bodies carry arrays and objects as JSON strings
+const parseJson = (value) => {
+  if (typeof value !== "string") return { value };
+  try {
+    return { value: JSON.parse(value) };
+  } catch (e) {
+    return { error: true };
+  }
+};
+
+const checkRange = (name, number, rule, errors) => {
+  if (rule.min !== undefined && number < rule.min)
+    errors.push(`${name} must be at least ${rule.min}`);
+  if (rule.max !== undefined && number > rule.max)
+    errors.push(`${name} must be at most ${rule.max}`);
+};
+
+// Pushes the problems with one value onto `errors`. `name` is how the field
+// is referred to in messages.
+const checkValue = (name, value, rule, errors) => {
+  switch (rule.type) {
+    case "string": {
+      if (typeof value !== "string" && typeof value !== "number") {
+        errors.push(`${name} must be a string`);
+        return;
+      }
+      const text = String(value);
+      if (rule.enum && !rule.enum.includes(text))
+        errors.push(`${name} must be one of: ${rule.enum.join(", ")}`);
+      if (rule.maxLength !== undefined && text.length > rule.maxLength)
+        errors.push(`${name} must be at most ${rule.maxLength} characters`);
+      if (rule.pattern && !new RegExp(rule.pattern).test(text))
+        errors.push(`${name} has an invalid format`);
+      return;
+    }
+
+    case "number":
+    case "integer": {
+      const number = Number(value);
+      if (typeof value === "boolean" || isNaN(number)) {
+        errors.push(`${name} must be a valid number`);
+        return;
+      }
+      if (rule.type === "integer" && !Number.isInteger(number)) {
+        errors.push(`${name} must be a whole number`);
+        return;
+      }
+      checkRange(name, number, rule, errors);
+      return;
+    }
+
+    case "boolean":
+      if (![true, false, "true", "false", 1, 0].includes(value))
+        errors.push(`${name} must be true or false`);
+      return;
+
+    case "date":
+      if (isNaN(new Date(value).getTime()))
+        errors.push(`${name} must be a valid date`);
+      return;
+
+    case "list": {
+      const values = Array.isArray(value) ? value : [value];
+      if (values.some((v) => typeof v !== "string")) {
+        errors.push(`${name} must be a string or a list of strings`);
+        return;
+      }
+      if (rule.enum) {
+        if (toList(values).some((v) => !rule.enum.includes(v)))
+          errors.push(`${name} may only contain: ${rule.enum.join(", ")}`);
+      }
+      return;
+    }
+
+    case "array": {
+      const parsed = rule.json === false ? { value } : parseJson(value);
+      if (parsed.error || !Array.isArray(parsed.value)) {
+        errors.push(`${name} must be an array`);
+        return;
+      }
+      if (rule.minItems && parsed.value.length < rule.minItems) {
+        errors.push(
+          rule.minItems === 1
+            ? `${name} must be a non-empty array`
+            : `${name} must have at least ${rule.minItems} entries`,
+        );
+        return;
+      }
+      parsed.value.forEach((entry, index) => {
+        const label = rule.itemLabel
+          ? `${rule.itemLabel} ${index}`
+          : `${name}[${index}]`;
+        checkValue(label, entry, rule.items, errors);
+      });
+      return;
+    }
+
+    case "object": {
+      const parsed = parseJson(value);
+      const object = parsed.value;
+      if (
+        parsed.error ||
+        !object ||
+        typeof object !== "object" ||
+        Array.isArray(object)
+      ) {
+        errors.push(`${name} must be an object`);
+        return;
+      }
+      if (rule.fields) {
+        // Entries of an array report as "Item 0: productId is required"
+        checkFields(object, rule, false, `${name}: `, errors);
+      }
+      if (rule.values) {
+        Object.keys(object).forEach((key) => {
+          if (!isEmpty(object[key]))
+            checkValue(`${name}.${key}`, object[key], rule.values, errors);
+        });
+      }
+      return;
+    }
+  }
+};
+
+const checkFields = (body, schema, partial, prefix, errors) => {
+  Object.keys(schema.fields).forEach((field) => {
+    const rule = schema.fields[field];
+    const value = body[field];
+
+    if (isEmpty(value)) {
+      // On updates a missing field is left alone, but a required one
+      // cannot be blanked
+      if (rule.required && (!partial || value !== undefined)) {
+        errors.push(`${prefix}${field} is required`);
+      }
+      return;
+    }
+    checkValue(`${prefix}${field}`, value, rule, errors);
+  });
+
+  if (!partial) {
+    (schema.requireAny || []).forEach((group) => {
+      if (group.every((field) => isBlank(body[field]))) {
+        errors.push(`${prefix}one of ${group.join(" or ")} is required`);
+      }
+    });
+  }
+};
+
+// Returns a list of error messages; empty when the body is valid. Entities
+// without a schema accept any body.
+const validateEntity = (entity, body, { partial = false } = {}) => {
+  const schema = SCHEMAS[entity];
+  if (!schema) return [];
+  const errors = [];
+  checkFields(body || {}, schema, partial, "", errors);
+  return errors;
+};
+
+module.exports = { SCHEMAS, validateEntity, toList };
@@ -0,0 +1,240 @@
+// Delivery zones and the fees charged in them. A zone lists the cities and
+// areas it covers; an order is placed in the zone of its area, else its
+// city, else of the longest zone area named in its free-text address, else
+// in the default zone. The fee is the first tier whose upTo covers the
+// order's subtotal or weight (grams), and nothing at or above the zone's
+// free-shipping threshold.
+const db = require("./db");
+const { findProduct, findVariant } = require("./pricing");
+const { toList } = require("./schemas");
+const { roundMoney } = require("./money");
+
+const ZONE_ENTITY = "shipping-zones";
+
+const normalizeName = (text) =>
+  String(text || "")
+    .trim()
+    .replace(/\s+/g, " ")
+    .toLowerCase();
+
+const toBoolean = (value) => value === true || value === "true";
+
+const parseJson = (value) =>
+  typeof value === "string" ? JSON.parse(value) : value;
+
+// Tiers sorted by upTo; the tier without upTo (no upper bound) goes last
+const toTiers = (value) =>
+  parseJson(value)
+    .map((tier) => {
+      const fee = roundMoney(parseFloat(tier.fee) || 0);
+      return tier.upTo === undefined || tier.upTo === null || tier.upTo === ""
+        ? { fee }
+        : { upTo: parseFloat(tier.upTo), fee };
+    })
+    .sort((a, b) => (a.upTo ?? Infinity) - (b.upTo ?? Infinity));
+
+// A validated request body (schemas.js) -> the fields to store. With
+// `partial`, only the fields present are returned.
+const zoneFields = (body, { partial = false } = {}) => {
+  const has = (field) =>
+    body[field] !== undefined && body[field] !== null && body[field] !== "";
+  const fields = {};
+  if (has("name")) fields.name = String(body.name).trim();
+  if (has("areas") || !partial) {
+    fields.areas = has("areas") ? toList(body.areas) : [];
+  }
+  if (has("isDefault") || !partial)
+    fields.isDefault = toBoolean(body.isDefault);
+  if (has("basis") || !partial) fields.basis = body.basis || "subtotal";
+  if (has("tiers")) fields.tiers = toTiers(body.tiers);
+  // 0 means no free shipping
+  if (has("freeShippingOver") || !partial) {
+    fields.freeShippingOver = parseFloat(body.freeShippingOver) || 0;
+  }
+  // Cash on delivery and the zone itself are on unless turned off
+  ["cashOnDelivery", "isActive"].forEach((field) => {
+    if (has(field)) fields[field] = toBoolean(body[field]);
+    else if (!partial) fields[field] = true;
+  });
+  return fields;
+};
+
+const activeZones = () =>
+  db.getAll(ZONE_ENTITY).filter((zone) => zone.isActive !== false);
+
+// Problems the schema cannot see in a zone as it would be saved: only the
+// default zone may go without areas, an area may belong to one active zone
+// only, and only one zone may be the default
+const zoneErrors = (zone, ownId) => {
+  const errors = [];
+  if ((zone.areas || []).length === 0 && !zone.isDefault) {
+    errors.push("areas is required unless the zone is the default zone");
+  }
+  if (zone.isActive === false) return errors;
+  const others = activeZones().filter((other) => other.id !== ownId);
+  (zone.areas || []).forEach((area) => {
+    const owner = others.find((other) =>
+      (other.areas || []).some(
+        (name) => normalizeName(name) === normalizeName(area),
+      ),
+    );
+    if (owner) errors.push(`${area} is already in zone ${owner.name}`);
+  });
+  const defaultZone = others.find((other) => other.isDefault);
+  if (zone.isDefault && defaultZone) {
+    errors.push(`${defaultZone.name} is already the default zone`);
+  }
+  return errors;
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Whole words only, so "Mirpur" does not match "Mirpurhat"
+const mentions = (text, name) =>
+  new RegExp(
+    `(^|[^\\p{L}\\p{N}])${escapeRegExp(name)}($|[^\\p{L}\\p{N}])`,
+    "u",
+  ).test(text);
+
+const zoneNamed = (zones, name) => {
+  const wanted = normalizeName(name);
+  if (!wanted) return null;
+  return (
+    zones.find((zone) =>
+      (zone.areas || []).some((area) => normalizeName(area) === wanted),
+    ) || null
+  );
+};
+
+const zoneInAddress = (zones, address) => {
+  const text = normalizeName(address);
+  if (!text) return null;
+  let best = null;
+  zones.forEach((zone) => {
+    (zone.areas || []).forEach((area) => {
+      const name = normalizeName(area);
+      if (
+        name &&
+        mentions(text, name) &&
+        (!best || name.length > best.length)
+      ) {
+        best = { zone, length: name.length };
+      }
+    });
+  });
+  return best && best.zone;
+};
+
+const findZone = ({ area, city, address }) => {
+  const zones = activeZones();
+  return (
+    zoneNamed(zones, area) ||
+    zoneNamed(zones, city) ||
+    zoneInAddress(zones, address) ||
+    zones.find((zone) => zone.isDefault) ||
+    null
+  );
+};
+
+// "250g", "250 gm", "1kg", "1.5 KG" -> grams; anything else -> 0
+const sizeInGrams = (size) => {
+  const match = String(size || "").match(
+    /^\s*(\d+(?:\.\d+)?)\s*(kg|kgs|g|gm|gms|grams?)\s*$/i,
+  );
+  if (!match) return 0;
+  const amount = parseFloat(match[1]);
+  return match[2].toLowerCase().startsWith("k") ? amount * 1000 : amount;
+};
+
+// Grams per unit: the variant's weight, what the variant's size says, or
+// the product's weight. Unknown weights count as 0.
+const unitWeight = (item) => {
+  const match = findProduct(item.productId);
+  if (!match) return 0;
+  const variant = findVariant(match.product, item.variant) || {};
+  return (
+    parseFloat(variant.weight) ||
+    sizeInGrams(variant.size || variant.name) ||
+    parseFloat(match.product.weight) ||
+    0
+  );
+};
+
+const cartWeight = (items) =>
+  Math.round(
+    (items || []).reduce(
+      (sum, item) => sum + unitWeight(item) * (parseInt(item.quantity) || 0),
+      0,
+    ),
+  );
+
+const tierFee = (tiers, value) => {
+  if (!Array.isArray(tiers) || tiers.length === 0) return 0;
+  const tier =
+    tiers.find((entry) => entry.upTo === undefined || value <= entry.upTo) ||
+    tiers[tiers.length - 1];
+  return tier.fee;
+};
+
+const isCashOnDelivery = (paymentMethod) =>
+  /cash on delivery|\bcod\b/i.test(paymentMethod || "");
+
+// True once at least one active zone exists; until then orders keep the
+// delivery fee they were submitted with
+const hasZones = () => activeZones().length > 0;
+
+// subtotal: catalog price of the items, before any discount; items: priced
+// lines (pricing.js). Returns { errors, quote }.
+const quoteShipping = ({
+  items,
+  subtotal,
+  city,
+  area,
+  address,
+  paymentMethod,
+}) => {
+  const zone = findZone({ area, city, address });
+  if (!zone) {
+    return { errors: ["No delivery zone covers this address"], quote: null };
+  }
+
+  const weight = cartWeight(items);
+  const freeShippingOver = parseFloat(zone.freeShippingOver) || 0;
+  const freeShipping = freeShippingOver > 0 && subtotal >= freeShippingOver;
+  const basis = zone.basis === "weight" ? "weight" : "subtotal";
+  const deliveryFee = freeShipping
+    ? 0
+    : tierFee(zone.tiers, basis === "weight" ? weight : subtotal);
+  const cashOnDelivery = zone.cashOnDelivery !== false;
+
+  const errors = [];
+  if (isCashOnDelivery(paymentMethod) && !cashOnDelivery) {
+    errors.push(`Cash on delivery is not available in ${zone.name}`);
+  }
+
+  return {
+    errors,
+    quote: {
+      zone: { id: zone.id, name: zone.name },
+      basis,
+      subtotal,
+      weight,
+      deliveryFee,
+      freeShipping,
+      freeShippingOver: freeShippingOver || null,
+      amountToFreeShipping:
+        freeShippingOver > 0 && !freeShipping
+          ? roundMoney(freeShippingOver - subtotal)
+          : null,
+      cashOnDelivery,
+    },
+  };
+};
+
+module.exports = {
+  ZONE_ENTITY,
+  zoneFields,
+  zoneErrors,
+  hasZones,
+  quoteShipping,
+};
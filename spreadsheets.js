@@ -0,0 +1,244 @@
+// CSV and XLSX files for the export and import endpoints. A sheet is
+// { name, columns: [{ header, key }], rows: [{ [key]: value }] }; CSV holds
+// the first sheet only, XLSX one worksheet per sheet.
+const ExcelJS = require("exceljs");
+
+const FORMATS = {
+  csv: { contentType: "text/csv; charset=utf-8", extension: "csv" },
+  xlsx: {
+    contentType:
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    extension: "xlsx",
+  },
+};
+
+const isEmpty = (value) =>
+  value === undefined || value === null || value === "";
+
+// Spreadsheet apps run cells starting with = + - @ as formulas; text like
+// that gets a leading ' (numbers and phone numbers are left alone)
+const safeText = (value) =>
+  typeof value === "string" && /^(=|@|[+-](?![\d\s.()]*$))/.test(value)
+    ? `'${value}`
+    : value;
+
+const csvCell = (value) => {
+  if (isEmpty(value)) return "";
+  const text = String(safeText(value));
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// With a byte order mark, so Excel reads Bengali text as UTF-8
+const toCsv = ({ columns, rows }) =>
+  "\uFEFF" +
+  [
+    columns.map((column) => csvCell(column.header)).join(","),
+    ...rows.map((row) =>
+      columns.map((column) => csvCell(row[column.key])).join(","),
+    ),
+  ].join("\r\n") +
+  "\r\n";
+
+const toXlsx = async (sheets) => {
+  const workbook = new ExcelJS.Workbook();
+  sheets.forEach(({ name, columns, rows }) => {
+    const worksheet = workbook.addWorksheet(name);
+    worksheet.columns = columns.map(({ header, key, width }) => ({
+      header,
+      key,
+      width: width || Math.min(40, Math.max(10, header.length + 2)),
+    }));
+    worksheet.getRow(1).font = { bold: true };
+    worksheet.addRows(rows);
+  });
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+};
+
+// Sends the sheets as a download named <filename>.<format>
+const sendSpreadsheet = async (res, format, filename, sheets) => {
+  const { contentType, extension } = FORMATS[format];
+  const body = format === "csv" ? toCsv(sheets[0]) : await toXlsx(sheets);
+  res.set({
+    "Content-Type": contentType,
+    "Content-Disposition": `attachment; filename="${filename}.${extension}"`,
+  });
+  res.send(body);
+};
+
+// RFC 4180 CSV -> array of rows (arrays of strings)
+const parseCsvRows = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  const input = text.replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== "" || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows;
+};
+
+// Header row + data rows -> objects keyed by trimmed header. Blank lines
+// are dropped; `line` is the row's line number in the file.
+const toRecords = (rows, sheet) => {
+  const [header = [], ...data] = rows;
+  const keys = header.map((key) => String(key).trim());
+  return data
+    .map((cells, index) => {
+      const record = { sheet, line: index + 2, values: {} };
+      keys.forEach((key, column) => {
+        const value = cells[column] === undefined ? "" : String(cells[column]);
+        if (key) record.values[key] = value.trim();
+      });
+      return record;
+    })
+    .filter((record) => Object.values(record.values).some((v) => v !== ""));
+};
+
+// "csv" or "xlsx" for an upload, by its file extension or else its
+// Content-Type; null for anything else
+const spreadsheetFormat = (filename, mimetype) => {
+  const extension = (String(filename || "").match(/\.(\w+)$/) || [])[1];
+  const formats = Object.keys(FORMATS);
+  if (extension && formats.includes(extension.toLowerCase())) {
+    return extension.toLowerCase();
+  }
+  return (
+    formats.find(
+      (format) =>
+        FORMATS[format].contentType.split(";")[0] ===
+        String(mimetype || "").toLowerCase(),
+    ) || null
+  );
+};
+
+// Reads an uploaded spreadsheet of the given format into
+// [{ sheet, line, values }], every value as text. Returns null for an
+// XLSX file that cannot be read.
+const readSpreadsheet = async (buffer, format) => {
+  if (format === "csv") {
+    return toRecords(parseCsvRows(buffer.toString("utf8")), null);
+  }
+
+  const workbook = new ExcelJS.Workbook();
+  try {
+    await workbook.xlsx.load(buffer);
+  } catch (err) {
+    return null;
+  }
+  return workbook.worksheets.flatMap((worksheet) => {
+    const rows = [];
+    worksheet.eachRow((row, number) => {
+      const cells = [];
+      row.eachCell({ includeEmpty: true }, (cell, column) => {
+        cells[column - 1] = cell.text;
+      });
+      rows[number - 1] = cells;
+    });
+    return toRecords(
+      Array.from(rows, (row) => row || []),
+      worksheet.name,
+    );
+  });
+};
+
+// Order export: one row per line item (product variant), so sales per
+// product can be totalled in the spreadsheet. The order's own columns are
+// repeated on each of its rows.
+const ORDER_COLUMNS = [
+  { header: "Order ID", key: "orderId" },
+  { header: "Created At", key: "createdAt", width: 22 },
+  { header: "Status", key: "status" },
+  { header: "Paid", key: "isPaid" },
+  { header: "Payment Method", key: "paymentMethod", width: 18 },
+  { header: "Customer Name", key: "customerName", width: 20 },
+  { header: "Phone", key: "phone", width: 16 },
+  { header: "Email", key: "email", width: 24 },
+  { header: "Address", key: "address", width: 30 },
+  { header: "Product ID", key: "productId" },
+  { header: "Product", key: "productName", width: 24 },
+  { header: "Variant", key: "variant" },
+  { header: "Quantity", key: "quantity" },
+  { header: "Unit Price", key: "price" },
+  { header: "Line Total", key: "lineTotal" },
+  { header: "Subtotal", key: "subtotal" },
+  { header: "Delivery Fee", key: "deliveryFee" },
+  { header: "Extra Discount", key: "extraDiscount" },
+  { header: "Coupon", key: "couponCode" },
+  { header: "Coupon Discount", key: "couponDiscount" },
+  { header: "Order Total", key: "totalAmount" },
+];
+
+const orderRows = (orders) =>
+  orders.flatMap((order) => {
+    const common = {
+      orderId: order.id,
+      createdAt: order.createdAt,
+      status: order.status,
+      isPaid: order.isPaid ? "Yes" : "No",
+      paymentMethod: order.paymentMethod,
+      customerName: order.customerName,
+      phone: order.phone,
+      email: order.email,
+      address: order.address,
+      subtotal: order.subtotal,
+      deliveryFee: order.deliveryFee,
+      extraDiscount: order.extraDiscount
+        ? `${order.extraDiscount}${order.discountType === "percent" ? "%" : ""}`
+        : "",
+      couponCode: order.couponCode,
+      couponDiscount: order.couponDiscount,
+      totalAmount: order.totalAmount,
+    };
+    const items = Array.isArray(order.items) ? order.items : [];
+    if (items.length === 0) return [common];
+    return items.map((item) => ({
+      ...common,
+      productId: item.productId,
+      productName: item.productName,
+      variant: item.variant || "default",
+      quantity: item.quantity,
+      price: item.price,
+      lineTotal:
+        item.total !== undefined
+          ? item.total
+          : (parseFloat(item.price) || 0) * (parseInt(item.quantity) || 0),
+    }));
+  });
+
+module.exports = {
+  FORMATS,
+  sendSpreadsheet,
+  spreadsheetFormat,
+  readSpreadsheet,
+  ORDER_COLUMNS,
+  orderRows,
+};
@@ -0,0 +1,23 @@
+// Storage backend for db.js, selected with STORAGE_BACKEND ("json" or
+// "sqlite"). Every adapter implements:
+//   getAll(entity)                  -> records in insertion order
+//   getByIdOrSlug(entity, key)      -> record or undefined
+//   insert(entity, record)          -> record
+//   replace(entity, id, record)     -> record, or null if missing
+//   remove(entity, id)              -> true if a record was removed
+//   replaceAll(entity, records)     -> overwrites the whole entity
+//   transaction(entity, fn)         -> runs fn atomically, returns its result
+//   listEntities()                  -> entity names that hold data
+const adapters = {
+  json: () => require("./json"),
+  sqlite: () => require("./sqlite"),
+};
+
+const backend = (process.env.STORAGE_BACKEND || "json").toLowerCase();
+if (!adapters[backend]) {
+  throw new Error(
+    `Unknown STORAGE_BACKEND "${backend}" (expected one of: ${Object.keys(adapters).join(", ")})`,
+  );
+}
+
+module.exports = adapters[backend]();
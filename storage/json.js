@@ -0,0 +1,197 @@
+// JSON file storage: one ./data/{entity}.json array per entity
+const fs = require("fs");
+const path = require("path");
+
+const DATA_DIR = path.join(__dirname, "..", "data");
+
+// Ensure data directory exists
+if (!fs.existsSync(DATA_DIR)) {
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+}
+
+const getFilePath = (entity) => path.join(DATA_DIR, `${entity}.json`);
+const getBackupPath = (entity) => `${getFilePath(entity)}.bak`;
+const getLockPath = (entity) => `${getFilePath(entity)}.lock`;
+
+const LOCK_TIMEOUT_MS = 5000;
+const LOCK_STALE_MS = 30000;
+
+const sleep = (ms) =>
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+
+// Parses a data file, throwing if it is not a JSON array
+const parseFile = (filePath) => {
+  const content = fs
+    .readFileSync(filePath, "utf8")
+    .replace(/^\uFEFF/, "")
+    .trim();
+  const data = JSON.parse(content || "[]");
+  if (!Array.isArray(data)) {
+    throw new Error(`${path.basename(filePath)} does not contain an array`);
+  }
+  return data;
+};
+
+// A corrupt data file is never read as an empty list: it is set aside and
+// the last good backup is restored in its place. If there is no usable
+// backup, the read fails loudly.
+const readData = (entity) => {
+  const filePath = getFilePath(entity);
+  if (!fs.existsSync(filePath)) return [];
+  try {
+    return parseFile(filePath);
+  } catch (err) {
+    console.error(`CORRUPT DATA FILE ${filePath}:`, err.message);
+
+    const backupPath = getBackupPath(entity);
+    let backup;
+    try {
+      backup = parseFile(backupPath);
+    } catch (backupErr) {
+      const error = new Error(
+        `Data file for ${entity} is corrupt and no valid backup exists`,
+      );
+      error.code = "EDATACORRUPT";
+      throw error;
+    }
+
+    const corruptPath = `${filePath}.corrupt-${Date.now()}`;
+    fs.renameSync(filePath, corruptPath);
+    fs.copyFileSync(backupPath, filePath);
+    console.error(
+      `Restored ${entity} from ${backupPath} (${backup.length} records). Corrupt file kept at ${corruptPath}`,
+    );
+    return backup;
+  }
+};
+
+// Writes to a temp file, flushes it to disk and renames it over the live
+// file, so a crash leaves either the old or the new contents. The previous
+// (known good) file is kept as the backup.
+const writeData = (entity, data) => {
+  const filePath = getFilePath(entity);
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+
+  const fd = fs.openSync(tempPath, "w");
+  try {
+    fs.writeSync(fd, JSON.stringify(data, null, 2));
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  if (fs.existsSync(filePath)) {
+    fs.copyFileSync(filePath, getBackupPath(entity));
+  }
+  fs.renameSync(tempPath, filePath);
+};
+
+// Lock depth per entity, so a transaction can call insert/replace/remove
+const heldLocks = new Map();
+
+// Per-entity lock around read-modify-write. Within this process db calls
+// are synchronous and already serialized; the lock file also keeps other
+// processes (a second server, the migration command) from interleaving.
+const withLock = (entity, fn) => {
+  const depth = heldLocks.get(entity) || 0;
+  if (depth > 0) {
+    heldLocks.set(entity, depth + 1);
+    try {
+      return fn();
+    } finally {
+      heldLocks.set(entity, depth);
+    }
+  }
+
+  const lockPath = getLockPath(entity);
+  const start = Date.now();
+
+  for (;;) {
+    try {
+      fs.writeFileSync(lockPath, String(process.pid), { flag: "wx" });
+      break;
+    } catch (err) {
+      if (err.code !== "EEXIST") throw err;
+
+      // Break locks left behind by a crashed process
+      try {
+        if (Date.now() - fs.statSync(lockPath).mtimeMs > LOCK_STALE_MS) {
+          fs.unlinkSync(lockPath);
+          continue;
+        }
+      } catch (statErr) {
+        continue;
+      }
+
+      if (Date.now() - start > LOCK_TIMEOUT_MS) {
+        throw new Error(`Timed out waiting for the ${entity} write lock`);
+      }
+      sleep(10);
+    }
+  }
+
+  heldLocks.set(entity, 1);
+  try {
+    return fn();
+  } finally {
+    heldLocks.delete(entity);
+    fs.unlinkSync(lockPath);
+  }
+};
+
+const jsonStorage = {
+  name: "json",
+
+  getAll: (entity) => readData(entity),
+
+  // An id match wins over a slug match
+  getByIdOrSlug: (entity, identifier) => {
+    const data = readData(entity);
+    return (
+      data.find((item) => item.id === identifier) ||
+      data.find((item) => item.slug === identifier)
+    );
+  },
+
+  insert: (entity, record) =>
+    withLock(entity, () => {
+      const data = readData(entity);
+      data.push(record);
+      writeData(entity, data);
+      return record;
+    }),
+
+  replace: (entity, id, record) =>
+    withLock(entity, () => {
+      const data = readData(entity);
+      const index = data.findIndex((item) => item.id === id);
+      if (index === -1) return null;
+      data[index] = record;
+      writeData(entity, data);
+      return record;
+    }),
+
+  remove: (entity, id) =>
+    withLock(entity, () => {
+      const data = readData(entity);
+      const filteredData = data.filter((item) => item.id !== id);
+      if (filteredData.length === data.length) return false;
+      writeData(entity, filteredData);
+      return true;
+    }),
+
+  // Replaces every record of an entity (used by the migration command)
+  replaceAll: (entity, records) =>
+    withLock(entity, () => writeData(entity, records)),
+
+  transaction: (entity, fn) => withLock(entity, fn),
+
+  // Entities that have a data file
+  listEntities: () =>
+    fs
+      .readdirSync(DATA_DIR)
+      .filter((file) => file.endsWith(".json"))
+      .map((file) => file.slice(0, -".json".length)),
+};
+
+module.exports = jsonStorage;
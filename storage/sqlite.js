@@ -0,0 +1,95 @@
+// Embedded SQLite storage. Records stay schemaless: each row holds one
+// entity record as JSON, with id and slug pulled out for lookups.
+const fs = require("fs");
+const path = require("path");
+const Database = require("better-sqlite3");
+
+const DB_PATH =
+  process.env.SQLITE_PATH ||
+  path.join(__dirname, "..", "data", "coffee-lab.db");
+
+fs.mkdirSync(path.dirname(DB_PATH), { recursive: true });
+
+const sqlite = new Database(DB_PATH);
+sqlite.pragma("journal_mode = WAL");
+sqlite.pragma("busy_timeout = 5000");
+
+sqlite.exec(`
+  CREATE TABLE IF NOT EXISTS records (
+    position INTEGER PRIMARY KEY AUTOINCREMENT,
+    entity TEXT NOT NULL,
+    id TEXT NOT NULL,
+    slug TEXT,
+    data TEXT NOT NULL,
+    UNIQUE (entity, id)
+  );
+  CREATE INDEX IF NOT EXISTS records_entity_slug ON records (entity, slug);
+`);
+
+const statements = {
+  getAll: sqlite.prepare(
+    "SELECT data FROM records WHERE entity = ? ORDER BY position",
+  ),
+  getById: sqlite.prepare(
+    "SELECT data FROM records WHERE entity = ? AND id = ?",
+  ),
+  getBySlug: sqlite.prepare(
+    "SELECT data FROM records WHERE entity = ? AND slug = ? ORDER BY position LIMIT 1",
+  ),
+  insert: sqlite.prepare(
+    "INSERT INTO records (entity, id, slug, data) VALUES (?, ?, ?, ?)",
+  ),
+  replace: sqlite.prepare(
+    "UPDATE records SET slug = ?, data = ? WHERE entity = ? AND id = ?",
+  ),
+  remove: sqlite.prepare("DELETE FROM records WHERE entity = ? AND id = ?"),
+  removeAll: sqlite.prepare("DELETE FROM records WHERE entity = ?"),
+  entities: sqlite.prepare("SELECT DISTINCT entity FROM records"),
+};
+
+const parseRow = (row) => (row ? JSON.parse(row.data) : undefined);
+
+const sqliteStorage = {
+  name: "sqlite",
+
+  getAll: (entity) => statements.getAll.all(entity).map(parseRow),
+
+  // An id match wins over a slug match
+  getByIdOrSlug: (entity, identifier) =>
+    parseRow(statements.getById.get(entity, identifier)) ||
+    parseRow(statements.getBySlug.get(entity, identifier)),
+
+  insert: (entity, record) => {
+    statements.insert.run(
+      entity,
+      record.id,
+      record.slug || null,
+      JSON.stringify(record),
+    );
+    return record;
+  },
+
+  replace: (entity, id, record) => {
+    const result = statements.replace.run(
+      record.slug || null,
+      JSON.stringify(record),
+      entity,
+      id,
+    );
+    return result.changes > 0 ? record : null;
+  },
+
+  remove: (entity, id) => statements.remove.run(entity, id).changes > 0,
+
+  replaceAll: sqlite.transaction((entity, records) => {
+    statements.removeAll.run(entity);
+    records.forEach((record) => sqliteStorage.insert(entity, record));
+  }),
+
+  // Nested calls become savepoints; IMMEDIATE takes the write lock up front
+  transaction: (entity, fn) => sqlite.transaction(fn).immediate(),
+
+  listEntities: () => statements.entities.all().map((row) => row.entity),
+};
+
+module.exports = sqliteStorage;
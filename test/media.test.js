@@ -0,0 +1,56 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const sharp = require("sharp");
+const { startServer } = require("./server");
+
+const UPLOADS_DIR = path.join(__dirname, "..", "uploads");
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(() => server.stop());
+
+test("DELETE /api/media/:file removes the file's size variants", async () => {
+  // A random colour, so the content-hash name is new
+  const png = await sharp({
+    create: {
+      width: 1400,
+      height: 900,
+      channels: 3,
+      background: {
+        r: Math.floor(Math.random() * 256),
+        g: Math.floor(Math.random() * 256),
+        b: Math.floor(Math.random() * 256),
+      },
+    },
+  })
+    .png()
+    .toBuffer();
+  const form = new FormData();
+  form.append("image", new Blob([png], { type: "image/png" }), "test.png");
+  const uploaded = await server.request("POST", "/api/upload", { form });
+  assert.strictEqual(uploaded.status, 200);
+  const { url, variants } = await uploaded.json();
+  const file = path.basename(url);
+  const variantFiles = variants
+    .map((variant) => variant.file)
+    .filter((name) => name !== file);
+  assert.ok(variantFiles.length > 0);
+
+  const res = await server.request(
+    "DELETE",
+    `/api/media/${encodeURIComponent(file)}`,
+  );
+  assert.strictEqual(res.status, 200);
+  [file, ...variantFiles].forEach((name) =>
+    assert.ok(
+      !fs.existsSync(path.join(UPLOADS_DIR, name)),
+      `${name} is still in uploads/`,
+    ),
+  );
+});
@@ -0,0 +1,49 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const { startServer } = require("./server");
+
+let server;
+let product;
+
+const orderBody = (items) => ({
+  customerName: "Test Customer",
+  phone: "01700000000",
+  address: "Banani, Dhaka",
+  paymentMethod: "Cash on Delivery",
+  items,
+});
+
+before(async () => {
+  server = await startServer();
+  const form = new FormData();
+  form.append("name", "Test Machine");
+  form.append("price", "1000");
+  const res = await server.request("POST", "/api/machines", { form });
+  product = (await res.json()).payload;
+});
+
+after(() => server.stop());
+
+test("POST /api/orders rejects items sent as a JSON string", async () => {
+  const items = JSON.stringify([{ productId: product.id, quantity: 1 }]);
+  const res = await server.request("POST", "/api/orders", {
+    json: orderBody(items),
+  });
+  assert.strictEqual(res.status, 400);
+  assert.deepStrictEqual((await res.json()).errors, ["items must be an array"]);
+});
+
+test("PUT /api/orders/:id rejects items sent as a JSON string", async () => {
+  const created = await server.request("POST", "/api/orders", {
+    json: orderBody([{ productId: product.id, quantity: 1 }]),
+  });
+  assert.strictEqual(created.status, 200);
+  const order = (await created.json()).payload;
+
+  const items = JSON.stringify([{ productId: product.id, quantity: 2 }]);
+  const res = await server.request("PUT", `/api/orders/${order.id}`, {
+    json: { items },
+  });
+  assert.strictEqual(res.status, 400);
+  assert.deepStrictEqual((await res.json()).errors, ["items must be an array"]);
+});
@@ -0,0 +1,70 @@
+// Runs the API in a child process on a free port, against a throwaway
+// SQLite database so tests never touch data/
+const { spawn } = require("child_process");
+const fs = require("fs");
+const net = require("net");
+const os = require("os");
+const path = require("path");
+
+const API_KEY = "test-key";
+
+const freePort = () =>
+  new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.on("error", reject);
+    probe.listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+
+const startServer = async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "coffee-lab-test-"));
+  const port = await freePort();
+  const child = spawn(process.execPath, ["index.js"], {
+    cwd: path.join(__dirname, ".."),
+    env: {
+      ...process.env,
+      PORT: String(port),
+      API_KEY,
+      STORAGE_BACKEND: "sqlite",
+      SQLITE_PATH: path.join(dir, "test.db"),
+      MEDIA_CLEANUP_INTERVAL_HOURS: "0",
+    },
+    stdio: ["ignore", "pipe", "inherit"],
+  });
+
+  await new Promise((resolve, reject) => {
+    child.stdout.on("data", (chunk) => {
+      if (String(chunk).includes("Server running")) resolve();
+    });
+    child.on("exit", (code) =>
+      reject(new Error(`Server exited with code ${code}`)),
+    );
+  });
+
+  // json: sent as a JSON body; form: a FormData (multipart) body
+  const request = (method, url, { json, form } = {}) =>
+    fetch(`http://localhost:${port}${url}`, {
+      method,
+      headers: {
+        "x-api-key": API_KEY,
+        ...(json ? { "content-type": "application/json" } : {}),
+      },
+      body: json ? JSON.stringify(json) : form,
+    });
+
+  const stop = () =>
+    new Promise((resolve) => {
+      child.removeAllListeners("exit");
+      child.on("exit", () => {
+        fs.rmSync(dir, { recursive: true, force: true });
+        resolve();
+      });
+      child.kill();
+    });
+
+  return { request, stop };
+};
+
+module.exports = { startServer };
@@ -0,0 +1,109 @@
+// Trash bin. Deleting a product, blog post, order or coupon moves a snapshot
+// of it to the "trash" entity instead of removing it; its images and blog
+// revisions are kept, so it can be restored under its old id. Entries older
+// than the retention period are purged for good by a periodic job.
+const db = require("./db");
+const { removeMedia } = require("./media");
+const { imageFile } = require("./imageOptimizer");
+const blogs = require("./blogs");
+const { labelOf } = require("./audit");
+
+const TRASH_ENTITY = "trash";
+
+const RETENTION_DAYS = parseFloat(process.env.TRASH_RETENTION_DAYS) || 30;
+const PURGE_INTERVAL_HOURS =
+  process.env.TRASH_PURGE_INTERVAL_HOURS !== undefined
+    ? parseFloat(process.env.TRASH_PURGE_INTERVAL_HOURS)
+    : 1;
+
+// Removes the record from its entity and keeps it in the trash. Returns the
+// trash entry, or null if there was no such record.
+const moveToTrash = (entity, identifier, deletedBy) => {
+  const record = db.delete(entity, identifier);
+  if (!record) return null;
+
+  const deletedAt = new Date();
+  return db.create(TRASH_ENTITY, {
+    entity,
+    recordId: record.id,
+    label: labelOf(record) || record.id,
+    record,
+    deletedAt: deletedAt.toISOString(),
+    deletedBy,
+    purgeAt: new Date(
+      deletedAt.getTime() + RETENTION_DAYS * 24 * 60 * 60 * 1000,
+    ).toISOString(),
+  });
+};
+
+// Trashed records of one entity, most recently deleted first
+const listTrash = (entity) =>
+  db
+    .getAll(TRASH_ENTITY)
+    .filter((entry) => entry.entity === entity)
+    .reverse();
+
+// By trash entry id or by the deleted record's id
+const findInTrash = (entity, identifier) =>
+  listTrash(entity).find(
+    (entry) => entry.id === identifier || entry.recordId === identifier,
+  );
+
+// Puts the record back. Returns the restored record, or null when its id has
+// been taken again (the entry then stays in the trash).
+const restoreFromTrash = (entry) => {
+  const record = db.restore(entry.entity, entry.record);
+  if (record) db.delete(TRASH_ENTITY, entry.id);
+  return record;
+};
+
+// Deletes the entry and everything only it was keeping: images no other
+// record uses and a blog post's revisions
+const purge = (entry) => {
+  db.delete(TRASH_ENTITY, entry.id);
+  const { record } = entry;
+
+  if (entry.entity === "blogs") blogs.deleteRevisions(record.id);
+
+  if (Array.isArray(record.images)) {
+    record.images.forEach((entry) =>
+      removeMedia(imageFile(entry), entry.variants),
+    );
+  }
+};
+
+// Purges entries whose retention period is over. Returns the purged entries.
+const purgeExpired = (now = new Date()) => {
+  const expired = db
+    .getAll(TRASH_ENTITY)
+    .filter((entry) => new Date(entry.purgeAt) <= now);
+  expired.forEach(purge);
+  return expired;
+};
+
+const startTrashPurge = () => {
+  if (!(PURGE_INTERVAL_HOURS > 0)) return;
+  const run = () => {
+    try {
+      const purged = purgeExpired();
+      if (purged.length > 0) {
+        console.log(`Trash purge removed ${purged.length} record(s)`);
+      }
+    } catch (err) {
+      console.error("Trash purge failed:", err);
+    }
+  };
+  run();
+  setInterval(run, PURGE_INTERVAL_HOURS * 60 * 60 * 1000).unref();
+};
+
+module.exports = {
+  TRASH_ENTITY,
+  RETENTION_DAYS,
+  moveToTrash,
+  listTrash,
+  findInTrash,
+  restoreFromTrash,
+  purge,
+  startTrashPurge,
+};